@@ -0,0 +1,191 @@
+/* Copyright @ 2015 - Present, 8x8 Inc
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import fs from 'fs';
+import process from 'process';
+
+import { Interop } from './interop.js';
+import { getSources } from './sources.js';
+
+const USAGE = `Usage: sdp-interop --to unified|planb [options] [file]
+
+Converts the SDP read from file, or from the standard input when file is
+missing or is -, and prints the result.
+
+Options:
+  --to unified|planb          the plan to convert the SDP to
+  --current <file>            the current Unified Plan SDP, for --to unified
+  --offer <file>              the Unified Plan offer answered by the SDP, for
+                              --to unified
+  --type offer|answer         the type of the SDP, offer by default
+  --perspective local|remote  whether the SDP is local or remote, for
+                              --to unified, remote by default
+  --summary                   print the sources of the result instead of the
+                              SDP
+  --help                      print this help
+`;
+
+const OPTIONS_WITH_VALUES = [ '--to', '--current', '--offer', '--type', '--perspective' ];
+
+const VALUES = {
+    '--to': [ 'unified', 'planb' ],
+    '--type': [ 'offer', 'answer' ],
+    '--perspective': [ 'local', 'remote' ]
+};
+
+/**
+ * Reads a file, or the standard input for -.
+ * @param {string} file - the path of the file.
+ * @returns {string} - the content of the file.
+ */
+function readFile(file) {
+    return fs.readFileSync(file === '-' ? 0 : file, 'utf8');
+}
+
+/**
+ * Normalizes an SDP pasted from a dump, e.g. from webrtc-internals: the surrounding whitespace is removed and the
+ * lines are terminated with CRLF.
+ * @param {string} sdp - the SDP.
+ * @returns {string} - the normalized SDP.
+ */
+function normalizeSdp(sdp) {
+    return `${sdp.trim().split(/\r?\n/)
+        .map(line => line.trim())
+        .join('\r\n')}\r\n`;
+}
+
+/**
+ * Parses the command-line arguments.
+ * @param {Array<string>} args - the arguments, without the node executable and the script.
+ * @returns {Object} - the options by name, without the leading dashes, and the file.
+ * @throws {Error} - when an argument is unknown or a value is missing or invalid.
+ */
+function parseArgs(args) {
+    const options = {
+        file: '-',
+        summary: false,
+        help: false,
+        type: 'offer'
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+
+        if (OPTIONS_WITH_VALUES.indexOf(arg) > -1) {
+            const value = args[++i];
+
+            if (typeof value === 'undefined' || (VALUES[arg] && VALUES[arg].indexOf(value) === -1)) {
+                throw new Error(`Invalid value for ${arg}: ${value}`);
+            }
+            options[arg.substr(2)] = value;
+        } else if (arg === '--summary' || arg === '--help') {
+            options[arg.substr(2)] = true;
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else {
+            options.file = arg;
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Describes the sources of an SDP, one line per source with its mid, its media type, its direction, its primary
+ * ssrc, its msid and, if any, its simulcast layers and its rtx ssrcs.
+ * @param {string} sdp - the SDP.
+ * @returns {string} - the summary.
+ */
+function summarize(sdp) {
+    return getSources(sdp).map(source => {
+        const simulcast = source.simulcast.length ? ` simulcast=${source.simulcast.join(',')}` : '';
+        const rtx = source.rtx.length ? ` rtx=${source.rtx.map(pair => pair.rtx).join(',')}` : '';
+
+        return `mid=${source.mid} ${source.type} ${source.direction} ssrc=${source.ssrc} msid=${source.msid}`
+            + `${simulcast}${rtx}\n`;
+    })
+        .join('');
+}
+
+/**
+ * Runs the sdp-interop command. The conversions run in strict mode so that the SDPs that cannot be converted are
+ * reported instead of being printed unchanged.
+ * @param {Array<string>} args - the arguments, without the node executable and the script.
+ * @param {Object} io - the input and output functions, to run the command without a terminal.
+ * @param {Function} io.readFile - reads a file, or the standard input for -.
+ * @param {Function} io.stdout - writes to the standard output.
+ * @param {Function} io.stderr - writes to the standard error.
+ * @returns {number} - the exit code.
+ */
+export function run(args, {
+    readFile: read = readFile,
+    stdout = s => process.stdout.write(s),
+    stderr = s => process.stderr.write(s)
+} = {}) {
+    let options;
+
+    try {
+        options = parseArgs(args);
+    } catch (error) {
+        stderr(`${error.message}\n${USAGE}`);
+
+        return 2;
+    }
+
+    if (options.help) {
+        stdout(USAGE);
+
+        return 0;
+    }
+    if (!options.to) {
+        stderr(`Missing --to\n${USAGE}`);
+
+        return 2;
+    }
+
+    try {
+        const interop = new Interop({
+            createDescription: init => init,
+            strict: true
+        });
+        const description = {
+            type: options.type,
+            sdp: normalizeSdp(read(options.file))
+        };
+        let result;
+
+        if (options.to === 'planb') {
+            result = interop.toPlanB(description);
+        } else {
+            const current = options.current ? { sdp: normalizeSdp(read(options.current)) } : null;
+            const offer = options.offer ? {
+                type: 'offer',
+                sdp: normalizeSdp(read(options.offer))
+            } : null;
+
+            result = interop.toUnifiedPlan(description, current, {
+                offer,
+                perspective: options.perspective
+            });
+        }
+        stdout(options.summary ? summarize(result.sdp) : result.sdp);
+    } catch (error) {
+        stderr(`${error.name}: ${error.message}\n`);
+
+        return 1;
+    }
+
+    return 0;
+}
@@ -0,0 +1,234 @@
+/* Copyright @ 2015 - Present, 8x8 Inc
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+export const MERGE_POLICY_UNION = 'union';
+export const MERGE_POLICY_INTERSECTION = 'intersection';
+
+/**
+ * Returns the payload types of an m-line.
+ * @param {Object} mLine - the m-line.
+ * @returns {Array<string>} - the payload types, in m-line order.
+ */
+function getPayloads(mLine) {
+    return typeof mLine.payloads === 'undefined' ? [] : mLine.payloads.toString().split(' ')
+        .filter(payload => payload.length);
+}
+
+/**
+ * Returns the fmtp parameters of a payload type.
+ * @param {Object} mLine - the m-line.
+ * @param {string} payload - the payload type.
+ * @returns {string|undefined} - the fmtp parameters, if any.
+ */
+function getFmtp(mLine, payload) {
+    const fmtp = (mLine.fmtp || []).find(f => f.payload.toString() === payload);
+
+    return fmtp && fmtp.config;
+}
+
+/**
+ * Describes the codec of a payload type, e.g. 'VP8/90000'.
+ * @param {Object} rtp - the rtpmap of the payload type.
+ * @returns {string} - the description of the codec.
+ */
+function describeCodec(rtp) {
+    return `${rtp.codec}/${rtp.rate}${rtp.encoding ? `/${rtp.encoding}` : ''}`;
+}
+
+/**
+ * Checks whether two rtpmaps describe the same codec.
+ * @param {Object} rtp - the first rtpmap.
+ * @param {Object} other - the second rtpmap.
+ * @returns {boolean}
+ */
+function isSameCodec(rtp, other) {
+    return rtp.codec.toLowerCase() === other.codec.toLowerCase()
+        && rtp.rate === other.rate
+        && (rtp.encoding || 1) === (other.encoding || 1);
+}
+
+/**
+ * Checks whether an rtcp-fb line is present in a list of rtcp-fb lines.
+ * @param {Array<Object>} rtcpFbs - the rtcp-fb lines.
+ * @param {Object} rtcpFb - the rtcp-fb line.
+ * @returns {boolean}
+ */
+function hasRtcpFb(rtcpFbs, rtcpFb) {
+    return rtcpFbs.some(fb => fb.payload.toString() === rtcpFb.payload.toString()
+        && fb.type === rtcpFb.type
+        && fb.subtype === rtcpFb.subtype);
+}
+
+/**
+ * Merges the codecs of an m-line into the template m-line. A payload type that is mapped to a different codec,
+ * or that has different fmtp parameters, in the two m-lines is a conflict: the union policy keeps the codec of
+ * the template and the intersection policy drops it. Only the different fmtp parameters of the same codec are
+ * resolved by the union policy, the template keeps its own.
+ * @param {Object} template - the template m-line, modified in place.
+ * @param {Object} mLine - the m-line to merge.
+ * @param {string} policy - {@link MERGE_POLICY_UNION} or {@link MERGE_POLICY_INTERSECTION}.
+ * @returns {Array<Object>} - the conflicts.
+ */
+function mergeCodecs(template, mLine, policy) {
+    const conflicts = [];
+    const payloads = getPayloads(template);
+    const otherPayloads = getPayloads(mLine);
+    const rtpOf = (m, payload) => (m.rtp || []).find(rtp => rtp.payload.toString() === payload);
+    const compatible = new Set();
+
+    otherPayloads.forEach(payload => {
+        const rtp = rtpOf(template, payload);
+        const other = rtpOf(mLine, payload);
+
+        if (payloads.indexOf(payload) === -1) {
+            return;
+        }
+        if (rtp && other && !isSameCodec(rtp, other)) {
+            conflicts.push({
+                message: `Payload type ${payload} is ${describeCodec(rtp)} in mid ${template.mid} and `
+                    + `${describeCodec(other)} in mid ${mLine.mid}.`,
+                payload,
+                resolved: false
+            });
+
+            return;
+        }
+        if (getFmtp(template, payload) !== getFmtp(mLine, payload)) {
+            conflicts.push({
+                message: `Payload type ${payload} has the fmtp parameters "${getFmtp(template, payload)}" in mid `
+                    + `${template.mid} and "${getFmtp(mLine, payload)}" in mid ${mLine.mid}.`,
+                payload,
+                resolved: policy !== MERGE_POLICY_INTERSECTION
+            });
+
+            return;
+        }
+        compatible.add(payload);
+    });
+
+    if (policy === MERGE_POLICY_INTERSECTION) {
+        // Drop the rtx payload types of the codecs that are not kept.
+        const kept = payloads.filter(payload => compatible.has(payload)).filter((payload, i, all) => {
+            const apt = /apt=(\d+)/.exec(getFmtp(template, payload) || '');
+
+            return !apt || all.indexOf(apt[1]) > -1;
+        });
+
+        template.payloads = kept.join(' ');
+        template.rtp = (template.rtp || []).filter(rtp => kept.indexOf(rtp.payload.toString()) > -1);
+        template.fmtp = (template.fmtp || []).filter(fmtp => kept.indexOf(fmtp.payload.toString()) > -1);
+        template.rtcpFb = (template.rtcpFb || []).filter(fb => hasRtcpFb(mLine.rtcpFb || [], fb)
+            && (fb.payload === '*' || kept.indexOf(fb.payload.toString()) > -1));
+
+        return conflicts;
+    }
+
+    otherPayloads.forEach(payload => {
+        if (payloads.indexOf(payload) > -1) {
+            return;
+        }
+        payloads.push(payload);
+        template.rtp = (template.rtp || []).concat(
+            (mLine.rtp || []).filter(rtp => rtp.payload.toString() === payload));
+        template.fmtp = (template.fmtp || []).concat(
+            (mLine.fmtp || []).filter(fmtp => fmtp.payload.toString() === payload));
+    });
+    template.payloads = payloads.join(' ');
+    (mLine.rtcpFb || []).forEach(fb => {
+        if (!hasRtcpFb(template.rtcpFb || [], fb)) {
+            template.rtcpFb = (template.rtcpFb || []).concat(fb);
+        }
+    });
+
+    return conflicts;
+}
+
+/**
+ * Merges the RTP header extensions of an m-line into the template m-line. An extension id that is mapped to a
+ * different uri, or an extension that has a different id, in the two m-lines is a conflict: the union policy
+ * keeps the extension of the template and the intersection policy drops it.
+ * @param {Object} template - the template m-line, modified in place.
+ * @param {Object} mLine - the m-line to merge.
+ * @param {string} policy - {@link MERGE_POLICY_UNION} or {@link MERGE_POLICY_INTERSECTION}.
+ * @returns {Array<Object>} - the conflicts.
+ */
+function mergeExtensions(template, mLine, policy) {
+    const conflicts = [];
+    const extensions = template.ext || [];
+    const compatible = new Set();
+
+    (mLine.ext || []).forEach(ext => {
+        const byId = extensions.find(e => e.value === ext.value);
+        const byUri = extensions.find(e => e.uri === ext.uri);
+
+        if (byId && byId.uri !== ext.uri) {
+            conflicts.push({
+                message: `Extension id ${ext.value} is ${byId.uri} in mid ${template.mid} and ${ext.uri} in `
+                    + `mid ${mLine.mid}.`,
+                extension: ext.value,
+                resolved: false
+            });
+        } else if (!byId && byUri) {
+            conflicts.push({
+                message: `Extension ${ext.uri} has the id ${byUri.value} in mid ${template.mid} and ${ext.value} `
+                    + `in mid ${mLine.mid}.`,
+                extension: ext.value,
+                resolved: false
+            });
+        } else if (byId) {
+            compatible.add(byId);
+        } else if (policy !== MERGE_POLICY_INTERSECTION) {
+            extensions.push(ext);
+        }
+    });
+
+    if (policy === MERGE_POLICY_INTERSECTION) {
+        template.ext = extensions.filter(ext => compatible.has(ext));
+    } else if (extensions.length) {
+        template.ext = extensions;
+    }
+
+    return conflicts;
+}
+
+/**
+ * Reconciles the codecs, the rtcp-fb lines and the RTP header extensions of the m-lines that are merged into a
+ * single Plan B m-line. With the union policy, the payload types and the extensions of all the m-lines are
+ * offered, with the intersection policy only those negotiated by every m-line are.
+ * @param {Object} template - the Plan B m-line, a copy of the first m-line of the media type, modified in place.
+ * @param {Array<Object>} mLines - the other active m-lines of the same media type.
+ * @param {string} policy - {@link MERGE_POLICY_UNION} (default) or {@link MERGE_POLICY_INTERSECTION}.
+ * @returns {Array<Object>} - the conflicts, each one with a message, the media type, the mids of the two m-lines,
+ * the offending payload type or extension id and whether the policy resolved it.
+ */
+export function reconcileMedia(template, mLines, policy = MERGE_POLICY_UNION) {
+    let conflicts = [];
+
+    mLines.forEach(mLine => {
+        const mids = [ template.mid.toString(), mLine.mid.toString() ];
+
+        conflicts = conflicts.concat(mergeCodecs(template, mLine, policy)
+            .concat(mergeExtensions(template, mLine, policy))
+            .map(conflict => {
+                return {
+                    type: template.type,
+                    mids,
+                    ...conflict
+                };
+            }));
+    });
+
+    return conflicts;
+}
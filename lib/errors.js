@@ -0,0 +1,152 @@
+/* Copyright @ 2015 - Present, 8x8 Inc
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * The base class of the errors thrown by the conversions when Interop runs in strict mode.
+ */
+export class InteropError extends Error {
+    /**
+     * Creates a new error.
+     * @param {string} message - the error message.
+     * @param {Object} details - the offending details, e.g. the sdp or the mids that were rejected.
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'InteropError';
+        this.details = details;
+    }
+}
+
+/**
+ * Thrown when no description or a description without an sdp is passed to a conversion.
+ */
+export class EmptyDescriptionError extends InteropError {
+    /**
+     * Creates a new error.
+     * @param {string} message - the error message.
+     * @param {Object} details - the offending details.
+     */
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'EmptyDescriptionError';
+    }
+}
+
+/**
+ * Thrown when the description to convert has no media.
+ */
+export class NoMediaError extends InteropError {
+    /**
+     * Creates a new error.
+     * @param {string} message - the error message.
+     * @param {Object} details - the offending details.
+     */
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'NoMediaError';
+    }
+}
+
+/**
+ * Thrown when the sdp of the description cannot be parsed, e.g. it has no version or origin line.
+ */
+export class MalformedSdpError extends InteropError {
+    /**
+     * Creates a new error.
+     * @param {string} message - the error message.
+     * @param {Object} details - the offending details.
+     */
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'MalformedSdpError';
+    }
+}
+
+/**
+ * Thrown by toUnifiedPlan when the description is not in Plan B format.
+ */
+export class NotPlanBError extends InteropError {
+    /**
+     * Creates a new error.
+     * @param {string} message - the error message.
+     * @param {Object} details - the offending details.
+     */
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'NotPlanBError';
+    }
+}
+
+/**
+ * Thrown by toPlanB when the description is not in Unified Plan format.
+ */
+export class NotUnifiedPlanError extends InteropError {
+    /**
+     * Creates a new error.
+     * @param {string} message - the error message.
+     * @param {Object} details - the offending details.
+     */
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'NotUnifiedPlanError';
+    }
+}
+
+/**
+ * Thrown by the candidate translations when the mid or the m-line index of the candidate is not known from the
+ * last conversion.
+ */
+export class UnknownMidError extends InteropError {
+    /**
+     * Creates a new error.
+     * @param {string} message - the error message.
+     * @param {Object} details - the offending details.
+     */
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'UnknownMidError';
+    }
+}
+
+/**
+ * Thrown by toPlanB when the m-lines merged into a Plan B m-line negotiated incompatible codecs or RTP header
+ * extensions, e.g. the same payload type for two different codecs.
+ */
+export class IncompatibleMediaError extends InteropError {
+    /**
+     * Creates a new error.
+     * @param {string} message - the error message.
+     * @param {Object} details - the offending details.
+     */
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'IncompatibleMediaError';
+    }
+}
+
+/**
+ * Thrown by the conversions when the description is validated first and the validation reports errors.
+ */
+export class InvalidDescriptionError extends InteropError {
+    /**
+     * Creates a new error.
+     * @param {string} message - the error message.
+     * @param {Object} details - the offending details.
+     */
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'InvalidDescriptionError';
+    }
+}
@@ -13,4 +13,10 @@
  * limitations under the License.
  */
 
+export * from './errors.js';
 export * from './interop.js';
+export { addJingleSources, jingleToSources, removeJingleSources, sourcesToJingle } from './jingle.js';
+export * from './peerconnection.js';
+export { SEMANTICS_AMBIGUOUS, SEMANTICS_PLAN_B, SEMANTICS_UNIFIED_PLAN, detectSemantics } from './semantics.js';
+export { diffSources, findSourceByMsid, findSourceBySsrc, getEndpointSources, getSources } from './sources.js';
+export { validate } from './validator.js';
@@ -15,11 +15,31 @@
 
 import clonedeep from 'lodash.clonedeep';
 
+import { reconcileMedia } from './codecs.js';
+import {
+    EmptyDescriptionError,
+    IncompatibleMediaError,
+    InvalidDescriptionError,
+    MalformedSdpError,
+    NoMediaError,
+    NotPlanBError,
+    NotUnifiedPlanError,
+    UnknownMidError
+} from './errors.js';
+import { SEMANTICS_PLAN_B, SEMANTICS_UNIFIED_PLAN, detectSemantics } from './semantics.js';
+import { createSourceGroupMap, findFidGroup, findSimGroup } from './sources.js';
 import transform from './transform.js';
-
-const PLAN_B_MIDS = [ 'audio', 'video', 'data' ];
-const findSimGroup = ssrcGroup => ssrcGroup.find(grp => grp.semantics === 'SIM');
-const findFidGroup = ssrcGroup => ssrcGroup.find(grp => grp.semantics === 'FID');
+import { SEVERITY_ERROR, validate } from './validator.js';
+
+const DEFAULT_PLAN_B_MIDS = {
+    audio: 'audio',
+    video: 'video',
+    application: 'data'
+};
+const LOCAL_PERSPECTIVE = 'local';
+const DATA_CHANNEL_APP = 'webrtc-datachannel';
+const DEFAULT_SCTP_PORT = 5000;
+const DEFAULT_SCTP_STREAMS = 1024;
 
 /**
  * Add the ssrcs of the SIM group and their corresponding FID group ssrcs
@@ -106,8 +126,14 @@ function addSourcesToMline(mLine, ssrc, sourceGroups, sourceList) {
         }
     }
 
+    // The groups may reference ssrcs that have no a=ssrc lines, neither those ssrcs nor their groups can be
+    // signaled.
+    mLine.sources = mLine.sources.filter(source => source);
+    mLine.ssrcGroups = mLine.ssrcGroups.filter(group => group.ssrcs
+        .every(src => mLine.sources.some(source => source.id.toString() === src)));
+
     // Set the msid for the media description using the msid attribute of the ssrcs.
-    mLine.msid = mLine.sources[0].msid;
+    mLine.msid = (mLine.sources[0] || ssrc).msid;
 }
 
 /**
@@ -164,291 +190,1685 @@ function checkIfMlineForSsrcExists(ssrc, sourceGroups, mlines) {
 }
 
 /**
- * Create an inverted sourceGroup map to put all the grouped ssrcs
- * in the same m-line.
- * @param {Array<Object>} sourceGroups
- * @returns {Object} - An inverted sourceGroup map.
+ * Finds the primary source of a Unified Plan m-line, i.e., the first ssrc of its SIM group or of its FID
+ * group if there is no SIM group. Receive-only ssrcs without an msid are not considered unless the m-line
+ * itself has an msid.
+ * @param {Object} mLine - the m-line.
+ * @returns {Object|undefined} - the primary source or undefined if the m-line has no source.
  */
-function createSourceGroupMap(sourceGroups) {
-    const ssrc2group = {};
+function getPrimarySource(mLine) {
+    const sources = (mLine.sources || []).filter(source => mLine.msid || source.msid);
 
-    if (!sourceGroups || !Array.isArray(sourceGroups)) {
-        return ssrc2group;
+    if (!sources.length) {
+        return;
     }
-    sourceGroups.forEach(group => {
-        if (group.ssrcs && Array.isArray(group.ssrcs)) {
-            group.ssrcs.forEach(ssrc => {
-                if (typeof ssrc2group[ssrc] === 'undefined') {
-                    ssrc2group[ssrc] = [];
-                }
-                ssrc2group[ssrc].push(group);
-            });
+    const ssrcGroups = mLine.ssrcGroups || [];
+    const primaryGroup = findSimGroup(ssrcGroups) || findFidGroup(ssrcGroups);
+
+    if (primaryGroup) {
+        const primarySource = sources.find(source => source.id.toString() === primaryGroup.ssrcs[0].toString());
+
+        if (primarySource) {
+            return primarySource;
         }
-    });
+    }
 
-    return ssrc2group;
+    return sources[0];
 }
 
 /**
- * Check if a new SDP requests an ICE restart.
- * @param {Object} - the parsed new SDP
- * @param {Object} - the parsed previous SDP
- * @returns {Boolean} - Returns true if an ICE restart is requested otherwise false.
+ * Returns the next numeric mid that is not used by any of the given m-lines or by the mapping table.
+ * @param {Array<Object>} mlines - the m-lines of the description.
+ * @param {Array<Object>} mappings - the mapping table.
+ * @returns {string}
  */
-function checkForIceRestart(newDesc, oldDesc) {
-    if (!newDesc || !oldDesc || newDesc.media.length === 0 || oldDesc.media.length === 0) {
-        return false;
+function getNextMid(mlines, mappings) {
+    const usedMids = new Set(mlines.map(mLine => mLine.mid.toString()).concat(mappings.map(entry => entry.mid)));
+    let mid = mlines.length;
+
+    while (usedMids.has(mid.toString())) {
+        mid++;
     }
 
-    const newMLine = newDesc.media[0];
-    const oldMLine = oldDesc.media[0];
+    return mid.toString();
+}
 
-    return newMLine.iceUfrag !== oldMLine.iceUfrag || newMLine.icePwd !== oldMLine.icePwd;
+/**
+ * Checks whether the given direction includes sending. An m-line without a direction attribute is
+ * considered to be 'sendrecv'.
+ * @param {string} direction - the direction of the m-line.
+ * @returns {boolean}
+ */
+function hasSend(direction = 'sendrecv') {
+    return direction === 'sendrecv' || direction === 'sendonly';
 }
 
 /**
- * Interop provides an API for tranforming a Plan B SDP to a Unified Plan SDP and
- * vice versa.
+ * Checks whether the given direction includes receiving. An m-line without a direction attribute is
+ * considered to be 'sendrecv'.
+ * @param {string} direction - the direction of the m-line.
+ * @returns {boolean}
  */
-export class Interop {
-    /**
-     * This method transforms a Unified Plan SDP to an equivalent Plan B SDP.
-     * @param {RTCSessionDescription} description - The description in Unified plan format.
-     * @returns RTCSessionDescription - The transformed session description.
-     */
-    toPlanB(description) {
-        if (!description || typeof description.sdp !== 'string') {
-            console.warn('An empty description was passed as an argument.');
+function hasRecv(direction = 'sendrecv') {
+    return direction === 'sendrecv' || direction === 'recvonly';
+}
 
-            return description;
-        }
+/**
+ * Checks whether the given m-line is rejected, i.e., whether its port is zero without it being bundle-only.
+ * @param {Object} mLine - the m-line.
+ * @returns {boolean}
+ */
+function isRejected(mLine) {
+    return mLine.port === 0 && !mLine.bundleOnly;
+}
 
-        // Objectify the SDP for easier manipulation.
-        const session = transform.parse(description.sdp);
+/**
+ * Adds the send component to the given direction, as addTrack does when it reuses a transceiver. An m-line
+ * without a direction attribute is considered to be 'sendrecv'.
+ * @param {string} direction - the direction of the m-line.
+ * @returns {string} - 'sendrecv' for 'recvonly', 'sendonly' for 'inactive', the given direction otherwise.
+ */
+function addSendDirection(direction = 'sendrecv') {
+    if (direction === 'recvonly') {
+        return 'sendrecv';
+    } else if (direction === 'inactive') {
+        return 'sendonly';
+    }
 
-        // If the SDP contains no media, there's nothing to transform.
-        if (!session.media || !session.media.length) {
-            console.warn('The description has no media.');
+    return direction;
+}
+
+/**
+ * Removes the send component from the given direction. An m-line without a direction attribute is
+ * considered to be 'sendrecv'.
+ * @param {string} direction - the direction of the m-line.
+ * @returns {string} - 'recvonly' for 'sendrecv', 'inactive' for 'sendonly', the given direction otherwise.
+ */
+function removeSendDirection(direction = 'sendrecv') {
+    if (direction === 'sendrecv') {
+        return 'recvonly';
+    } else if (direction === 'sendonly') {
+        return 'inactive';
+    }
+
+    return direction;
+}
+
+/**
+ * Returns the direction of the Plan B m-line that carries the given m-lines, which sends if any of them sends and
+ * receives if any of them receives.
+ * @param {Array<Object>} mLines - the m-lines of the same media type.
+ * @returns {string} - the combined direction.
+ */
+function getAggregateDirection(mLines) {
+    const send = mLines.some(mLine => hasSend(mLine.direction));
+    const recv = mLines.some(mLine => hasRecv(mLine.direction));
+
+    if (send && recv) {
+        return 'sendrecv';
+    } else if (send) {
+        return 'sendonly';
+    } else if (recv) {
+        return 'recvonly';
+    }
+
+    return 'inactive';
+}
+
+/**
+ * Deactivates the m-lines of the current description whose sources are no longer present in the new
+ * description, i.e., sources that were removed through a source-remove. The m-lines are kept in place so
+ * that the order of the mids stays valid, but their ssrcs, ssrc-groups and msid are removed and the send
+ * component is removed from their direction.
+ * @param {Object} currentDesc - the parsed current description in Unified Plan format.
+ * @param {Object} session - the parsed new description in Plan B format.
+ * @returns {Array<number>} - the ssrcs of the sources that were removed.
+ */
+function deactivateRemovedMlines(currentDesc, session) {
+    const ssrcs = new Set();
+    const removedSsrcs = [];
 
-            return description;
+    session.media.forEach(mLine => {
+        if (mLine.sources) {
+            mLine.sources.filter(source => source.msid).forEach(source => ssrcs.add(source.id.toString()));
         }
+    });
 
-        // Make sure this is a unified plan sdp
-        if (session.media.every(m => PLAN_B_MIDS.indexOf(m.mid) !== -1)) {
-            console.warn('The description does not look like unified plan sdp');
+    currentDesc.media.forEach(mLine => {
+        if (mLine.type === 'application' || !mLine.sources) {
+            return;
+        }
+
+        // Receive-only ssrcs do not have an msid and do not represent a source that can be removed.
+        const sources = mLine.sources.filter(source => source.msid);
 
-            return description;
+        if (!sources.length || sources.some(source => ssrcs.has(source.id.toString()))) {
+            return;
         }
+        mLine.direction = removeSendDirection(mLine.direction);
+        removedSsrcs.push(...sources.map(source => source.id));
+        delete mLine.sources;
+        delete mLine.ssrcGroups;
+        delete mLine.msid;
+    });
 
-        const media = {};
-        const sessionMedia = session.media;
+    return removedSsrcs;
+}
 
-        session.media = [];
-        sessionMedia.forEach(mLine => {
-            const type = mLine.type;
+/**
+ * Converts a data channel m-line in the legacy format, i.e., 'DTLS/SCTP <port>' with an a=sctpmap line, to the
+ * format used by the Unified Plan browsers, i.e., 'UDP/DTLS/SCTP webrtc-datachannel' with an a=sctp-port line.
+ * The a=sctpmap line carries the number of streams and not the maximum message size, so no a=max-message-size
+ * line is added and the default of 64K applies.
+ * @param {Object} mLine - the application m-line.
+ * @returns {void}
+ */
+function convertSctpmapToSctpPort(mLine) {
+    if (!mLine.sctpmap) {
+        return;
+    }
+    mLine.protocol = 'UDP/DTLS/SCTP';
+    mLine.payloads = mLine.sctpmap.app || DATA_CHANNEL_APP;
+    mLine.sctpPort = mLine.sctpmap.sctpmapNumber;
+    delete mLine.sctpmap;
+}
 
-            if (type === 'application') {
-                mLine.mid = 'data';
-                media[mLine.mid] = mLine;
+/**
+ * Converts a data channel m-line in the format used by the Unified Plan browsers, i.e.,
+ * 'UDP/DTLS/SCTP webrtc-datachannel' with the a=sctp-port and a=max-message-size lines, to the legacy format
+ * understood by the older Plan B endpoints, i.e., 'DTLS/SCTP <port>' with an a=sctpmap line.
+ * @param {Object} mLine - the application m-line.
+ * @returns {void}
+ */
+function convertSctpPortToSctpmap(mLine) {
+    if (mLine.sctpmap || mLine.payloads !== DATA_CHANNEL_APP) {
+        return;
+    }
+    const sctpPort = mLine.sctpPort || DEFAULT_SCTP_PORT;
+
+    mLine.protocol = 'DTLS/SCTP';
+    mLine.payloads = sctpPort;
+    mLine.sctpmap = {
+        sctpmapNumber: sctpPort,
+        app: DATA_CHANNEL_APP,
+        maxMessageSize: DEFAULT_SCTP_STREAMS
+    };
+    delete mLine.sctpPort;
+    delete mLine.maxMessageSize;
+}
 
-                return;
-            }
-            if (typeof media[type] === 'undefined') {
-                const bLine = clonedeep(mLine);
+/**
+ * Returns the error to reject a malformed description with: a description without version or origin line, or
+ * with an m-line without a mid, cannot be converted since the m-lines are matched by their mid.
+ * @param {Object} session - the parsed description.
+ * @param {string} sdp - the sdp of the description.
+ * @returns {MalformedSdpError|null} - the error, null if the description is well-formed.
+ */
+function getMalformedSdpError(session, sdp) {
+    if (typeof session.version === 'undefined' || !session.origin) {
+        return new MalformedSdpError('The description has no version or origin line.', { sdp });
+    }
+    const idx = (session.media || []).findIndex(mLine => typeof mLine.mid === 'undefined');
+
+    return idx > -1
+        ? new MalformedSdpError(`The m-line ${idx} has no mid.`, {
+            mLineIndex: idx,
+            sdp
+        })
+        : null;
+}
 
-                // Copy the msid attribute to all the ssrcs if they belong to the same source group
-                if (bLine.sources && Array.isArray(bLine.sources)) {
-                    bLine.sources.forEach(source => {
-                        mLine.msid ? source.msid = mLine.msid : delete source.msid;
-                    });
-                }
+/**
+ * Returns the mids of the BUNDLE group of a description.
+ * @param {Object} session - the parsed description.
+ * @returns {Array<string>} - the mids of the BUNDLE group, empty if the description has no BUNDLE group.
+ */
+function getBundleMids(session) {
+    const bundle = (session.groups || []).find(group => group.type === 'BUNDLE');
 
-                // Do not signal the FID groups if there is no msid attribute present
-                // on the sources as sesison-accept with this source info will fail strophe
-                // validation and the session will not be established. This behavior is seen
-                // on Firefox (with RTX enabled) when no video source is added at the join time.
-                // FF generates two recvonly ssrcs with no msid and a corresponding FID group in
-                // this case.
-                if (!bLine.ssrcGroups || !mLine.msid) {
-                    bLine.ssrcGroups = [];
-                }
-                delete bLine.msid;
-                bLine.mid = type;
-                media[type] = bLine;
-            } else if (mLine.msid) {
-                // Add sources and source-groups to the existing m-line of the same media type.
-                const bLine = clonedeep(mLine);
+    return bundle ? bundle.mids.toString().split(' ') : [];
+}
 
-                if (bLine.sources && Array.isArray(bLine.sources)) {
-                    // Copy the msid attribute to each ssrc.
-                    bLine.sources.forEach(ssrc => {
-                        ssrc.msid = mLine.msid;
-                    });
-                    media[type].sources = (media[type].sources || []).concat(bLine.sources);
-                }
-                if (typeof bLine.ssrcGroups !== 'undefined' && Array.isArray(bLine.ssrcGroups)) {
-                    media[type].ssrcGroups = (media[type].ssrcGroups || []).concat(bLine.ssrcGroups);
-                }
-            }
+/**
+ * Returns the transport parameters of the m-lines of a Plan B description by media type. The m-lines that are
+ * part of the BUNDLE group use the ICE parameters and the fingerprint of the first m-line of the group, the other
+ * m-lines use their own. The connection data and the candidates are always those of the m-line itself, since the
+ * bundled m-lines other than the first one usually only carry a placeholder address.
+ * An m-line is matched with the BUNDLE group either by its mid or by the Plan B mid of its media type when no
+ * other m-line uses it, since some endpoints rewrite the mid of the data m-line without updating the group.
+ * @param {Object} session - the parsed description in Plan B format.
+ * @param {Object} envelopeMids - the Plan B mids by media type.
+ * @returns {Map<string, Object>} - the media type, the bundled flag, the bundle-only attribute, the ICE parameters,
+ * the fingerprint, the connection data and the candidates of each Plan B m-line, by mid.
+ */
+function getTransports(session, envelopeMids) {
+    const bundleMids = getBundleMids(session);
+    const mids = session.media.map(mLine => String(mLine.mid));
+    const getBundleIdx = mLine => {
+        const idx = typeof mLine.mid === 'undefined' ? -1 : bundleMids.indexOf(mLine.mid.toString());
+        const typeMid = envelopeMids[mLine.type] || mLine.type;
+
+        return idx > -1 || mids.includes(typeMid) ? idx : bundleMids.indexOf(typeMid);
+    };
+    const bundleMline = session.media
+        .filter(mLine => getBundleIdx(mLine) > -1)
+        .sort((a, b) => getBundleIdx(a) - getBundleIdx(b))[0];
+    const transports = new Map();
+
+    session.media.forEach(mLine => {
+        const bundled = getBundleIdx(mLine) > -1;
+        const transportMline = bundled ? bundleMline : mLine;
+
+        transports.set(String(mLine.mid), {
+            type: mLine.type,
+            bundled,
+            iceUfrag: transportMline.iceUfrag,
+            icePwd: transportMline.icePwd,
+            fingerprint: transportMline.fingerprint,
+            port: mLine.port,
+            bundleOnly: mLine.bundleOnly,
+            rejected: isRejected(mLine),
+            connection: mLine.connection,
+            rtcp: mLine.rtcp,
+            candidates: mLine.candidates,
+            endOfCandidates: mLine.endOfCandidates
         });
-        session.media = Object.values(media);
+    });
 
-        // Bundle the media only if it is active.
-        const bundle = [];
+    return transports;
+}
 
-        Object.values(media).forEach(mline => {
-            if (mline.direction !== 'inactive') {
-                bundle.push(mline.mid);
-            }
-        });
+/**
+ * Returns the transport of an m-line of the Unified Plan description, i.e., the transport of the Plan B m-line
+ * that carries its sources. The m-lines without a source use the transport of the Plan B m-line with the default
+ * mid of their media type, or of the first Plan B m-line of their media type.
+ * @param {Object} mLine - the m-line of the parsed description in Unified Plan format.
+ * @param {Array<Object>} planBMedia - the m-lines of the parsed description in Plan B format.
+ * @param {Map<string, Object>} transports - the transports of the Plan B m-lines by mid.
+ * @param {Object} envelopeMids - the Plan B mids by media type.
+ * @returns {Object|undefined} - the transport, undefined if there is no Plan B m-line of the same media type.
+ */
+function getMlineTransport(mLine, planBMedia, transports, envelopeMids) {
+    const ssrcs = (mLine.sources || []).map(source => source.id.toString());
+    const planBMline = ssrcs.length
+        && planBMedia.find(m => (m.sources || []).some(source => ssrcs.includes(source.id.toString())));
 
-        // We regenerate the BUNDLE group with the new mids.
-        session.groups.forEach(group => {
-            if (group.type === 'BUNDLE') {
-                group.mids = bundle.join(' ');
-            }
-        });
+    if (planBMline) {
+        return transports.get(String(planBMline.mid));
+    }
 
-        // msid semantic
-        session.msidSemantic = {
-            semantic: 'WMS',
-            token: '*'
+    return transports.get(envelopeMids[mLine.type])
+        || Array.from(transports.values()).find(transport => transport.type === mLine.type);
+}
+
+/**
+ * Returns the mids and the media types of the m-lines of a description.
+ * @param {Array<Object>} media - the m-lines of the parsed description.
+ * @returns {Array<Object>} - the mid and the media type of each m-line, in m-line order.
+ */
+function getMids(media) {
+    return media.map(mLine => {
+        return {
+            mid: mLine.mid.toString(),
+            type: mLine.type
         };
-        const resStr = transform.write(session);
+    });
+}
 
-        return new RTCSessionDescription({
-            type: description.type,
-            sdp: resStr
+/**
+ * Returns the msid of the track carried by a Unified Plan m-line. The media-level a=msid line is authoritative,
+ * the msid attribute of the ssrcs is only used by the endpoints that do not signal it.
+ * @param {Object} mLine - the m-line.
+ * @returns {string|undefined} - the msid.
+ */
+function getMediaMsid(mLine) {
+    const source = mLine.msid ? null : (mLine.sources || []).find(src => src.msid);
+
+    return source ? source.msid : mLine.msid;
+}
+
+/**
+ * Synthesizes the msid attribute of the sources of a Plan B m-line that do not have one. It is built from the
+ * legacy mslabel and label attributes of the source, or taken from the media-level a=msid line when none of the
+ * sources has an msid.
+ * @param {Object} mLine - the m-line.
+ * @returns {void}
+ */
+function synthesizeSourceMsids(mLine) {
+    if (!mLine.sources) {
+        return;
+    }
+    mLine.sources.forEach(source => {
+        if (!source.msid && source.mslabel && source.label) {
+            source.msid = `${source.mslabel} ${source.label}`;
+        }
+    });
+    if (mLine.msid && !mLine.sources.some(source => source.msid)) {
+        mLine.sources.forEach(source => {
+            source.msid = mLine.msid;
         });
     }
+}
 
-    /**
-     * This method transforms a Plan B SDP to an equivalent Unified Plan SDP.
-     * @param {RTCSessionDescription} description - The description in plan-b format.
-     * @param {RTCSessionDescription} current - The current description set on
-     * the peerconnection in Unified-plan format, i.e., the readonly attribute
-     * remoteDescription on the RTCPeerConnection object.
-     * @returns RTCSessionDescription - The transformed session description.
-     */
-    toUnifiedPlan(description, current = null) {
-        if (!description || typeof description.sdp !== 'string') {
-            console.warn('An empty description was passed as an argument.');
+/**
+ * Returns the rids of the simulcast streams sent on an m-line, in the order of the a=simulcast line. Only the
+ * first alternative of each stream is used and the paused streams are included.
+ * @param {Object} mLine - the m-line.
+ * @returns {Array<string>} - the rids, empty if the m-line does not send RID based simulcast.
+ */
+function getSendRids(mLine) {
+    if (!mLine.rids || !mLine.simulcast) {
+        return [];
+    }
+    const { dir1, list1, dir2, list2 } = mLine.simulcast;
+    const list = dir1 === 'send' ? list1 : dir2 === 'send' ? list2 : null;
 
-            return description;
-        }
+    if (!list) {
+        return [];
+    }
 
-        // Objectify the SDP for easier manipulation.
-        const session = transform.parse(description.sdp);
+    return list.split(';')
+        .map(stream => stream.split(',')[0].replace(/^~/, ''))
+        .filter(rid => mLine.rids.some(r => r.id === rid && r.direction === 'send'));
+}
 
-        // If the SDP contains no media, there's nothing to transform.
-        if (!session.media || !session.media.length) {
-            console.warn('The description has no media.');
+/**
+ * Returns the ssrcs used in a description.
+ * @param {Array<Object>} media - the m-lines of the parsed description.
+ * @returns {Set<number>} - the ssrcs.
+ */
+function getSsrcs(media) {
+    const ssrcs = new Set();
 
-            return description;
-        }
+    media.forEach(mLine => (mLine.sources || []).forEach(source => ssrcs.add(source.id)));
 
-        // Make sure this is a plan-b sdp.
-        if (session.media.length > 3 || session.media.every(m => PLAN_B_MIDS.indexOf(m.mid) === -1)) {
-            console.warn('The description does not look like plan-b');
+    return ssrcs;
+}
+
+/**
+ * Returns the cname of the sources of a description. A browser uses the same cname for all the sources of a
+ * peerconnection, which groups them for the lip-sync.
+ * @param {Array<Object>} media - the m-lines of the parsed description.
+ * @returns {string|undefined} - the cname of the first source that has one.
+ */
+function getCname(media) {
+    for (const mLine of media) {
+        const source = (mLine.sources || []).find(src => src.cname);
 
-            return description;
+        if (source) {
+            return source.cname;
         }
-        const currentDesc = current ? transform.parse(current.sdp) : null;
-        const iceRestart = checkForIceRestart(session, currentDesc);
-        const newIceUfrag = session.media[0].iceUfrag;
-        const newIcePwd = session.media[0].icePwd;
-        const newFingerprint = session.media[0].fingerprint;
-        const media = {};
+    }
+}
 
-        session.media.forEach(mLine => {
-            const type = mLine.type;
+/**
+ * Generates a random ssrc that is not used yet.
+ * @param {Set<number>} usedSsrcs - the ssrcs already in use, the generated one is added to it.
+ * @returns {number} - the ssrc.
+ */
+function generateSsrc(usedSsrcs) {
+    let ssrc;
 
-            if (type === 'application') {
-                if (!currentDesc || !currentDesc.media) {
-                    const newMline = clonedeep(mLine);
+    do {
+        ssrc = Math.floor(Math.random() * 0xfffffffe) + 1;
+    } while (usedSsrcs.has(ssrc));
+    usedSsrcs.add(ssrc);
 
-                    newMline.mid = Object.keys(media).length.toString();
-                    media[mLine.mid] = newMline;
+    return ssrc;
+}
 
-                    return;
-                }
-                const mLineForData = currentDesc.media.findIndex(m => m.type === type);
+/**
+ * Checks whether a Plan B description restarts the ICE of a transport.
+ * @param {Object} transport - the transport parameters of the Plan B description.
+ * @param {Array<Object>} previousMlines - the m-lines of the current description that use the transport.
+ * @returns {boolean} - true if the ICE credentials of the transport differ from those of the m-lines.
+ */
+function checkForIceRestart(transport, previousMlines) {
+    const previous = previousMlines.find(mLine => !isRejected(mLine) && mLine.iceUfrag);
 
-                if (mLineForData) {
-                    currentDesc.media[mLineForData] = mLine;
-                    currentDesc.media[mLineForData].mid = mLineForData;
-                }
+    return Boolean(previous) && (transport.iceUfrag !== previous.iceUfrag || transport.icePwd !== previous.icePwd);
+}
 
-                return;
-            }
+/**
+ * Interop provides an API for tranforming a Plan B SDP to a Unified Plan SDP and
+ * vice versa.
+ */
+export class Interop {
+    /**
+     * Creates a new Interop instance.
+     * @param {Object} options - the options.
+     * @param {boolean} options.stateful - whether the mid mappings learned from the previous conversions are
+     * used to recreate the m-lines when no current description is passed to toUnifiedPlan. Disabled by default
+     * so that every conversion without a current description starts from scratch.
+     * @param {Function} options.createDescription - the factory used to create the session descriptions
+     * returned by the conversions. It is called with an object containing the type and the sdp. Defaults to the
+     * RTCSessionDescription constructor when it exists, i.e., in browsers, and to plain objects otherwise.
+     * @param {Object} options.logger - the logger used to report the descriptions that are not converted,
+     * console by default.
+     * @param {boolean} options.strict - whether the conversions throw an {@link InteropError} instead of
+     * returning the description unchanged when it cannot be converted.
+     * @param {boolean} options.translateDataChannels - whether the data channel m-lines are translated to the
+     * a=sctp-port format by toUnifiedPlan and to the legacy a=sctpmap format by toPlanB. Disabled by default so
+     * that the data channel m-lines are passed through in the format they come in.
+     * @param {string} options.mergePolicy - how toPlanB reconciles the codecs and the RTP header extensions of the
+     * m-lines of the same media type: 'union' (default) offers those of all the m-lines and 'intersection' only
+     * those negotiated by every m-line. The incompatibilities are reported like the descriptions that cannot be
+     * converted, with an {@link IncompatibleMediaError} in strict mode.
+     * @param {boolean} options.validate - whether the descriptions are validated before they are converted. The
+     * descriptions with validation errors are not converted, the validation warnings are logged.
+     * @param {Object} options.planBMids - the mids of the Plan B m-lines by envelope, i.e., by media type for the
+     * default envelopes and by name for the envelopes returned by routeSource, e.g. { audio: '0', video: '1' }
+     * for the endpoints that use numeric mids in Plan B. The default envelopes not listed keep the 'audio',
+     * 'video' and 'data' mids and the other envelopes use their name as mid.
+     * @param {Function} options.routeSource - the rule that routes the sources to the Plan B envelopes in toPlanB.
+     * It is called with the primary source of a Unified Plan m-line, with all its a=ssrc attributes, e.g. its
+     * name or its videoType, and the m-line itself, and returns the name of the envelope, e.g. 'screen' to keep
+     * the screen share in a separate Plan B video m-line. The sources are routed to the envelope of their media
+     * type when it returns nothing. An envelope that no longer carries any source is kept without sources, since
+     * an m-line cannot be removed from the description.
+     */
+    constructor(options = {}) {
+        /**
+         * The options of this instance.
+         * @type {Object}
+         */
+        this._options = options;
+
+        /**
+         * The logger of this instance.
+         * @type {Object}
+         */
+        this._logger = options.logger || console;
+
+        /**
+         * The mapping table between the mids of the Unified Plan m-lines, their media type and the primary
+         * ssrcs and msids of the sources they carry. The entries are kept in m-line order and are updated by
+         * every conversion so that subsequent conversions place the sources in the same m-lines even when no
+         * current description is available.
+         * @type {Array<Object>}
+         */
+        this._mappings = [];
+
+        /**
+         * The mids of the m-lines of the Plan B and the Unified Plan descriptions of the last conversion, used
+         * to translate the ICE candidates.
+         * @type {Object|null}
+         */
+        this._lastMids = null;
+
+        /**
+         * The RID based simulcast m-lines converted to SIM groups, with their mid, their a=rid and a=simulcast
+         * lines, the primary and the rtx ssrcs used for the rids and whether those were generated.
+         * @type {Array<Object>}
+         */
+        this._simulcast = [];
+
+        /**
+         * The Plan B envelopes, with their name and their media type, in the order in which they were created. The
+         * subsequent Plan B descriptions keep them, in that order, since an m-line cannot be removed or moved.
+         * @type {Array<Object>}
+         */
+        this._envelopes = [];
+    }
 
-            // Create an inverted sourceGroup map here to put all the grouped SSRCs in the same m-line.
-            const ssrc2group = createSourceGroupMap(mLine.ssrcGroups);
+    /**
+     * Returns the Plan B envelope of a Unified Plan m-line, i.e., the Plan B m-line its sources are merged into.
+     * The rejected m-lines and the m-lines without a source belong to the envelope of their media type.
+     * @param {Object} mLine - the m-line of the parsed description in Unified Plan format.
+     * @returns {string} - the name of the envelope, the media type for the default envelopes.
+     * @private
+     */
+    _getEnvelope(mLine) {
+        const source = typeof this._options.routeSource === 'function' && mLine.type !== 'application'
+            && !isRejected(mLine) && getPrimarySource(mLine);
+        const envelope = source && this._options.routeSource(source, mLine);
 
-            // If there are no sources advertised for a media type, add the description if this is the first
-            // remote offer, i.e., no current description was passed. Chrome in Unified plan does not produce
-            // recvonly ssrcs unlike Firefox and Safari.
-            if (!mLine.sources) {
-                if (!currentDesc) {
-                    const newMline = clonedeep(mLine);
+        return envelope ? String(envelope) : mLine.type;
+    }
 
-                    newMline.mid = Object.keys(media).length.toString();
-                    media[mLine.mid] = newMline;
-                }
+    /**
+     * Returns the Plan B m-lines in the order in which their envelopes were created. The envelopes that no longer
+     * carry any source are kept, since an m-line cannot be removed. An empty envelope is a copy of the last Plan B
+     * m-line of its media type, without sources and without the send direction.
+     * @param {Map<string, Object>} media - the Plan B m-lines by envelope.
+     * @param {Object} envelopeMids - the mids of the Plan B envelopes.
+     * @returns {Array<Object>} - the Plan B m-lines.
+     * @private
+     */
+    _orderEnvelopes(media, envelopeMids) {
+        const mLines = [];
+
+        media.forEach((mLine, name) => {
+            if (!this._envelopes.some(e => e.name === name)) {
+                this._envelopes.push({
+                    name,
+                    type: mLine.type
+                });
+            }
+        });
+
+        this._envelopes.forEach(({ name, type }) => {
+            if (media.has(name)) {
+                mLines.push(media.get(name));
 
                 return;
             }
-            mLine.sources.forEach((ssrc, idx) => {
-                // Do not add the receive-only ssrcs that Jicofo sends in the source-add.
-                // These ssrcs do not have the "msid" attribute set.
-                if (!ssrc.msid) {
-                    return;
-                }
-
-                // If there is no description set on the peerconnection, create new m-lines.
-                if (!currentDesc || !currentDesc.media) {
-                    if (checkIfMlineForSsrcExists(ssrc, ssrc2group, Object.values(media))) {
-                        return;
-                    }
-                    const newMline = clonedeep(mLine);
+            const sameType = Array.from(media.values()).filter(mLine => mLine.type === type);
+            const template = sameType[sameType.length - 1];
 
-                    newMline.mid = Object.keys(media).length.toString();
-                    newMline.direction = idx
-                        ? 'sendonly'
-                        : mLine.direction === 'sendonly' ? 'sendonly' : 'sendrecv';
-                    newMline.bundleOnly = undefined;
-                    addSourcesToMline(newMline, ssrc, ssrc2group, mLine.sources);
-                    media[newMline.mid] = newMline;
+            // The envelope cannot be represented if there is no m-line of the same type in the description.
+            if (!template) {
+                return;
+            }
+            const mLine = clonedeep(template);
 
-                    return;
-                }
+            delete mLine.sources;
+            delete mLine.ssrcGroups;
+            mLine.mid = envelopeMids[name] || name;
+            mLine.direction = removeSendDirection(mLine.direction);
+            mLines.push(mLine);
+        });
 
-                // Create and append the m-lines to the existing description.
-                if (checkIfMlineForSsrcExists(ssrc, ssrc2group, currentDesc.media)) {
-                    return;
-                }
-                const newMline = clonedeep(mLine);
+        return mLines;
+    }
 
-                newMline.mid = currentDesc.media.length.toString();
-                newMline.direction = 'sendonly';
-                addSourcesToMline(newMline, ssrc, ssrc2group, mLine.sources);
+    /**
+     * Returns the mids of the Plan B envelopes.
+     * @returns {Object} - the mids of the default envelopes by media type and of the configured envelopes by name.
+     * @private
+     */
+    _getPlanBMids() {
+        const mids = {
+            ...DEFAULT_PLAN_B_MIDS,
+            ...this._options.planBMids
+        };
+
+        Object.keys(mids).forEach(envelope => {
+            mids[envelope] = mids[envelope].toString();
+        });
+
+        return mids;
+    }
+
+    /**
+     * Creates the session description returned by the conversions.
+     * @param {Object} init - the type and the sdp of the session description.
+     * @returns {RTCSessionDescription|Object} - the session description.
+     * @private
+     */
+    _createDescription(init) {
+        if (typeof this._options.createDescription === 'function') {
+            return this._options.createDescription(init);
+        }
+
+        if (typeof RTCSessionDescription === 'function') {
+            return new RTCSessionDescription(init);
+        }
+
+        return init;
+    }
+
+    /**
+     * Handles a description, or a candidate, that cannot be converted. In strict mode the error is thrown,
+     * otherwise it is logged and the description is returned unchanged.
+     * @param {InteropError} error - the reason why the description cannot be converted.
+     * @param {RTCSessionDescription|RTCIceCandidateInit} description - the description that cannot be converted.
+     * @returns {RTCSessionDescription|RTCIceCandidateInit} - the unchanged description.
+     * @private
+     */
+    _rejectDescription(error, description) {
+        if (this._options.strict) {
+            throw error;
+        }
+        this._logger.warn(error.message);
+
+        return description;
+    }
+
+    /**
+     * Validates a description before it is converted. The m-lines of the envelopes configured with the planBMids
+     * option, or returned by the routeSource option, are not reported as extra Plan B m-lines.
+     * @param {RTCSessionDescription} description - the description.
+     * @param {string} plan - the expected plan of the description.
+     * @returns {InvalidDescriptionError|null} - the error to reject the description with, if the validation
+     * reports errors.
+     * @private
+     */
+    _getValidationError(description, plan) {
+        const planBMids = this._getPlanBMids();
+        const envelopes = Object.keys(planBMids).filter(name => !DEFAULT_PLAN_B_MIDS[name])
+            .concat(this._envelopes.filter(e => e.name !== e.type).map(e => e.name));
+        const findings = validate(description, {
+            plan,
+            envelopeMids: envelopes.map(name => planBMids[name] || name)
+        });
+        const errors = findings.filter(finding => finding.severity === SEVERITY_ERROR);
+
+        findings.filter(finding => finding.severity !== SEVERITY_ERROR).forEach(finding => {
+            this._logger.warn(finding.message);
+        });
+
+        return errors.length
+            ? new InvalidDescriptionError(`The description is not valid: ${errors.map(e => e.message).join(' ')}`, {
+                findings,
+                sdp: description.sdp
+            })
+            : null;
+    }
+
+    /**
+     * Returns a copy of the state learned from the previous conversions.
+     * @returns {Object} - the mapping table, the mids of the last conversion, the RID based simulcast m-lines and
+     * the Plan B envelopes.
+     * @private
+     */
+    _getState() {
+        return clonedeep({
+            mappings: this._mappings,
+            lastMids: this._lastMids,
+            simulcast: this._simulcast,
+            envelopes: this._envelopes
+        });
+    }
+
+    /**
+     * Restores the state returned by {@link Interop#_getState}.
+     * @param {Object} state - the state.
+     * @returns {void}
+     * @private
+     */
+    _setState({ mappings, lastMids, simulcast, envelopes }) {
+        this._mappings = mappings;
+        this._lastMids = lastMids;
+        this._simulcast = simulcast;
+        this._envelopes = envelopes;
+    }
+
+    /**
+     * Returns a copy of the mapping table learned from the previous conversions.
+     * @returns {Array<Object>} - the entries in m-line order, each one with the mid, the media type and the
+     * list of sources (primary ssrc and msid, and all the msids of a track that is in several streams) carried
+     * by the m-line.
+     */
+    getMappings() {
+        return clonedeep(this._mappings);
+    }
+
+    /**
+     * Clears the mapping table, for instance when the peerconnection is replaced.
+     * @returns {void}
+     */
+    clearMappings() {
+        this._mappings = [];
+        this._lastMids = null;
+        this._simulcast = [];
+        this._envelopes = [];
+    }
+
+    /**
+     * Translates an ICE candidate of the Plan B description to the Unified Plan description of the last
+     * conversion.
+     * @param {RTCIceCandidateInit|null} candidate - the candidate, with the Plan B sdpMid and sdpMLineIndex.
+     * @returns {RTCIceCandidateInit|null} - the candidate with the sdpMid and the sdpMLineIndex of the first
+     * Unified Plan m-line of the same media type.
+     */
+    candidateToUnifiedPlan(candidate) {
+        return this._translateCandidate(candidate, 'planB', 'unifiedPlan');
+    }
+
+    /**
+     * Translates an ICE candidate of the Unified Plan description to the Plan B description of the last
+     * conversion. The Plan B m-line of a media type has the transport of the first Unified Plan m-line of that
+     * type, so the candidates of the other m-lines cannot be represented and null is returned for them.
+     * @param {RTCIceCandidateInit|null} candidate - the candidate, with the Unified Plan sdpMid and sdpMLineIndex.
+     * @returns {RTCIceCandidateInit|null} - the candidate with the sdpMid and the sdpMLineIndex of the Plan B
+     * m-line of the same media type.
+     */
+    candidateToPlanB(candidate) {
+        return this._translateCandidate(candidate, 'unifiedPlan', 'planB');
+    }
+
+    /**
+     * Translates an ICE candidate between the Plan B and the Unified Plan m-lines of the last conversion. The
+     * end-of-candidates indications are translated too: a null candidate, or one without a mid and an m-line
+     * index, is returned unchanged since it applies to all the m-lines, while a candidate with an empty
+     * candidate attribute gets the mid and the m-line index of the other description.
+     * @param {RTCIceCandidateInit|null} candidate - the candidate to translate.
+     * @param {string} from - the format of the candidate, 'planB' or 'unifiedPlan'.
+     * @param {string} to - the format of the translated candidate, 'planB' or 'unifiedPlan'.
+     * @returns {RTCIceCandidateInit|null} - the translated candidate.
+     * @private
+     */
+    _translateCandidate(candidate, from, to) {
+        const hasMid = candidate && typeof candidate.sdpMid === 'string';
+        const hasMLineIndex = candidate && typeof candidate.sdpMLineIndex === 'number';
+
+        if (!hasMid && !hasMLineIndex) {
+            return candidate;
+        }
+        const fromMids = this._lastMids ? this._lastMids[from] : [];
+        const toMids = this._lastMids ? this._lastMids[to] : [];
+        const source = hasMid
+            ? fromMids.find(m => m.mid === candidate.sdpMid)
+            : fromMids[candidate.sdpMLineIndex];
+        const targetIdx = source ? toMids.findIndex(m => m.type === source.type) : -1;
+
+        if (targetIdx === -1) {
+            return this._rejectDescription(
+                new UnknownMidError('The mid of the candidate is not known from the last conversion.', {
+                    candidate,
+                    mids: fromMids.map(m => m.mid)
+                }),
+                candidate);
+        }
+
+        // Only the first m-line of a media type has a counterpart in Plan B.
+        if (fromMids.find(m => m.type === source.type) !== source) {
+            return null;
+        }
+
+        // The candidate can be an RTCIceCandidate whose attributes are not own properties.
+        return {
+            candidate: candidate.candidate,
+            sdpMid: toMids[targetIdx].mid,
+            sdpMLineIndex: targetIdx,
+            usernameFragment: candidate.usernameFragment
+        };
+    }
+
+    /**
+     * Converts the RID based simulcast of a Unified Plan m-line to a SIM group in place. The ssrcs signaled on
+     * the m-line, as Firefox does, are used for the rids. Otherwise the ssrcs are generated, along with the rtx
+     * ssrcs and their FID groups if rtx is negotiated, and reused by the subsequent conversions of the m-line.
+     * The generated ssrcs get the cname of the other sources of the description, so that the receivers keep the
+     * video in sync with the audio. The m-line loses its a=rid and a=simulcast lines, which are restored by
+     * toUnifiedPlan.
+     * @param {Object} mLine - the m-line of the parsed description in Unified Plan format.
+     * @param {Set<number>} usedSsrcs - the ssrcs already in use in the description.
+     * @param {string|undefined} cname - the cname of the sources of the description, the stream id of the track
+     * is used when the description has no other source.
+     * @returns {void}
+     * @private
+     */
+    _convertRidsToSsrcs(mLine, usedSsrcs, cname) {
+        const rids = getSendRids(mLine);
+
+        // A simulcast stream without a track cannot be represented in Plan B.
+        if (!rids.length || !mLine.msid) {
+            return;
+        }
+        const mid = mLine.mid.toString();
+        const ssrcGroups = mLine.ssrcGroups || [];
+        const rtxSsrcs = ssrcGroups.filter(group => group.semantics === 'FID').map(group => group.ssrcs[1].toString());
+        const signaledSsrcs = (mLine.sources || [])
+            .map(source => source.id)
+            .filter(ssrc => rtxSsrcs.indexOf(ssrc.toString()) === -1);
+        let entry = this._simulcast.find(e => e.mid === mid);
+
+        if (signaledSsrcs.length >= rids.length) {
+            entry = {
+                mid,
+                rids: mLine.rids,
+                simulcast: mLine.simulcast,
+                ssrcs: signaledSsrcs.slice(0, rids.length),
+                rtxSsrcs: [],
+                generated: false
+            };
+        } else if (!entry || !entry.generated || entry.ssrcs.length !== rids.length) {
+            const hasRtx = (mLine.rtp || []).some(codec => codec.codec.toLowerCase() === 'rtx');
+
+            entry = {
+                mid,
+                rids: mLine.rids,
+                simulcast: mLine.simulcast,
+                ssrcs: rids.map(() => generateSsrc(usedSsrcs)),
+                rtxSsrcs: hasRtx ? rids.map(() => generateSsrc(usedSsrcs)) : [],
+                generated: true
+            };
+        }
+        this._simulcast = this._simulcast.filter(e => e.mid !== mid).concat(entry);
+
+        if (entry.generated) {
+            const sourceCname = cname || mLine.msid.split(' ')[0];
+
+            mLine.sources = [];
+            mLine.ssrcGroups = [];
+            entry.ssrcs.forEach((ssrc, idx) => {
+                mLine.sources.push({
+                    id: ssrc,
+                    cname: sourceCname,
+                    msid: mLine.msid
+                });
+                if (entry.rtxSsrcs.length) {
+                    mLine.sources.push({
+                        id: entry.rtxSsrcs[idx],
+                        cname: sourceCname,
+                        msid: mLine.msid
+                    });
+                    mLine.ssrcGroups.push({
+                        semantics: 'FID',
+                        ssrcs: [ ssrc.toString(), entry.rtxSsrcs[idx].toString() ]
+                    });
+                }
+            });
+        }
+        mLine.ssrcGroups = (mLine.ssrcGroups || []).concat({
+            semantics: 'SIM',
+            ssrcs: entry.ssrcs.map(ssrc => ssrc.toString())
+        });
+        delete mLine.rids;
+        delete mLine.simulcast;
+    }
+
+    /**
+     * Restores the RID based simulcast of a Unified Plan m-line whose SIM group was created by
+     * {@link Interop#_convertRidsToSsrcs}. The SIM group is removed but the ssrcs of the layers and their FID
+     * groups are kept alongside the a=rid lines, as Firefox signals them, so that the browser sends the layers on
+     * the ssrcs announced in the Plan B description, including the generated ones.
+     * @param {Object} mLine - the m-line of the parsed description in Unified Plan format.
+     * @returns {void}
+     * @private
+     */
+    _restoreRids(mLine) {
+        const simGroup = mLine.ssrcGroups && findSimGroup(mLine.ssrcGroups);
+        const entry = simGroup && this._simulcast.find(e => e.ssrcs[0].toString() === simGroup.ssrcs[0].toString());
+
+        if (!entry) {
+            return;
+        }
+        mLine.rids = clonedeep(entry.rids);
+        mLine.simulcast = clonedeep(entry.simulcast);
+        mLine.ssrcGroups = mLine.ssrcGroups.filter(group => group !== simGroup);
+        if (!mLine.ssrcGroups.length) {
+            delete mLine.ssrcGroups;
+        }
+    }
+
+    /**
+     * Synthesizes a Unified Plan description from the mapping table for a Plan B description that is converted
+     * without a current description. The m-lines are created in the order of the mids in the table, using the
+     * Plan B m-line of the same media type as template. The known sources are put back in the m-lines they were
+     * carried by and the m-lines without a source do not send.
+     * @param {Object} session - the parsed description in Plan B format.
+     * @param {boolean} local - whether the description is a local one, in which case every m-line with a source
+     * has the direction of the template and only receives otherwise.
+     * @returns {Object|null} - the parsed description in Unified Plan format, null if the table is empty.
+     * @private
+     */
+    _createDescriptionFromMappings(session, local) {
+        if (!this._options.stateful || !this._mappings.length) {
+            return null;
+        }
+        const media = [];
+
+        this._mappings.forEach(entry => {
+            const template = session.media.find(m => m.type === entry.type);
+
+            // The m-line cannot be represented if there is no m-line of the same type in the description.
+            if (!template) {
+                return;
+            }
+            const mLine = clonedeep(template);
+
+            mLine.mid = entry.mid;
+            if (entry.type === 'application') {
+                media.push(mLine);
+
+                return;
+            }
+            delete mLine.sources;
+            delete mLine.ssrcGroups;
+            delete mLine.msid;
+
+            const source = template.sources && entry.sources
+                .map(({ ssrc }) => template.sources.find(src => src.id === ssrc && src.msid))
+                .find(Boolean);
+
+            if (source) {
+                const isFirst = !media.some(m => m.type === entry.type);
+
+                addSourcesToMline(mLine, source, createSourceGroupMap(template.ssrcGroups), template.sources);
+
+                // Ungrouped ssrcs of the same track, e.g. the ssrcs of a RID based simulcast, stay together.
+                template.sources
+                    .filter(src => src.msid === source.msid && mLine.sources.indexOf(src) === -1)
+                    .forEach(src => mLine.sources.push(src));
+                if (local) {
+                    mLine.direction = addSendDirection(template.direction);
+                } else {
+                    mLine.direction = isFirst && template.direction !== 'sendonly' ? 'sendrecv' : 'sendonly';
+                }
+            } else {
+                mLine.direction = removeSendDirection(template.direction);
+            }
+            media.push(mLine);
+        });
+
+        return { media };
+    }
+
+    /**
+     * Removes the given sources from the mapping table.
+     * @param {Array<number>} ssrcs - the primary ssrcs of the sources.
+     * @returns {void}
+     * @private
+     */
+    _removeMappings(ssrcs) {
+        this._mappings.forEach(entry => {
+            entry.sources = entry.sources.filter(source => ssrcs.indexOf(source.ssrc) === -1);
+        });
+    }
+
+    /**
+     * Updates the mapping table with the m-lines of a Unified Plan description.
+     * @param {Array<Object>} media - the m-lines of the parsed description in Unified Plan format.
+     * @returns {void}
+     * @private
+     */
+    _updateMappings(media) {
+        media.forEach(mLine => {
+            const mid = mLine.mid.toString();
+            let entry = this._mappings.find(e => e.mid === mid);
+
+            if (!entry) {
+                entry = {
+                    mid,
+                    type: mLine.type,
+                    sources: []
+                };
+                this._mappings.push(entry);
+            }
+
+            // An inactive m-line does not carry any source, neither local nor remote.
+            if (mLine.direction === 'inactive') {
+                entry.sources = [];
+
+                return;
+            }
+            const primarySource = getPrimarySource(mLine);
+
+            if (!primarySource) {
+                return;
+            }
+            const ssrc = primarySource.id;
+            const msid = mLine.msid || primarySource.msid;
+            const source = {
+                ssrc,
+                msid
+            };
+
+            // Plan B cannot signal a track that is in several streams, remember all of them.
+            if (mLine.msids && mLine.msids[0] === msid) {
+                source.msids = mLine.msids.slice();
+            }
+            this._removeMappings([ ssrc ]);
+            entry.sources.push(source);
+        });
+    }
+
+    /**
+     * Restores the a=msid lines of an m-line whose track is in several streams from the mapping table, since the
+     * Plan B description only has the first one.
+     * @param {Object} mLine - the m-line of the parsed description in Unified Plan format.
+     * @returns {void}
+     * @private
+     */
+    _restoreMsids(mLine) {
+        const primarySource = getPrimarySource(mLine);
+        const source = primarySource && this._mappings
+            .map(entry => entry.sources.find(src => src.ssrc === primarySource.id))
+            .find(Boolean);
+
+        if (source && source.msids && source.msids[0] === mLine.msid) {
+            mLine.msids = source.msids.slice();
+        }
+    }
+
+    /**
+     * Creates the Unified Plan m-lines for the sources of a Plan B description. When a current description is
+     * available the new sources are added to its m-lines, otherwise new m-lines are created for all of them.
+     * @param {Object} session - the parsed description in Plan B format.
+     * @param {Object|null} currentDesc - the parsed current description in Unified Plan format.
+     * @param {boolean} local - whether the description is a local one. The m-lines of the remote sources are
+     * created 'sendonly' while the local sources are sent with the direction of their Plan B m-line and reuse
+     * the m-lines that do not send yet, like addTrack does with the existing transceivers.
+     * @returns {Array<Object>} - the m-lines of the description in Unified Plan format.
+     * @private
+     */
+    _createMedia(session, currentDesc, local) {
+        const media = {};
+
+        session.media.forEach(mLine => {
+            const type = mLine.type;
+
+            if (type === 'application') {
+                if (!currentDesc || !currentDesc.media) {
+                    const newMline = clonedeep(mLine);
+
+                    newMline.mid = Object.keys(media).length.toString();
+                    media[mLine.mid] = newMline;
+
+                    return;
+                }
+                const dataMlineIdx = currentDesc.media.findIndex(m => m.type === type);
+                const newMline = clonedeep(mLine);
+
+                // Update the data m-line in place so that it keeps its mid, or append it if the data channel
+                // was added during the call.
+                if (dataMlineIdx > -1) {
+                    newMline.mid = currentDesc.media[dataMlineIdx].mid;
+                    currentDesc.media[dataMlineIdx] = newMline;
+                } else {
+                    newMline.mid = getNextMid(currentDesc.media, this._mappings);
+                    currentDesc.media.push(newMline);
+                }
+
+                return;
+            }
+
+            // Create an inverted sourceGroup map here to put all the grouped SSRCs in the same m-line.
+            const ssrc2group = createSourceGroupMap(mLine.ssrcGroups);
+
+            // If there are no sources advertised for a media type, add the description if this is the first
+            // remote offer, i.e., no current description was passed. Chrome in Unified plan does not produce
+            // recvonly ssrcs unlike Firefox and Safari.
+            if (!mLine.sources) {
+                if (!currentDesc) {
+                    const newMline = clonedeep(mLine);
+
+                    newMline.mid = Object.keys(media).length.toString();
+                    media[mLine.mid] = newMline;
+                }
+
+                return;
+            }
+            mLine.sources.forEach((ssrc, idx) => {
+                // Do not add the receive-only ssrcs that Jicofo sends in the source-add.
+                // These ssrcs do not have the "msid" attribute set.
+                if (!ssrc.msid) {
+                    return;
+                }
+
+                // If there is no description set on the peerconnection, create new m-lines.
+                if (!currentDesc || !currentDesc.media) {
+                    if (checkIfMlineForSsrcExists(ssrc, ssrc2group, Object.values(media))) {
+                        return;
+                    }
+                    const newMline = clonedeep(mLine);
+
+                    newMline.mid = Object.keys(media).length.toString();
+                    if (local) {
+                        newMline.direction = addSendDirection(mLine.direction);
+                    } else {
+                        newMline.direction = idx
+                            ? 'sendonly'
+                            : mLine.direction === 'sendonly' ? 'sendonly' : 'sendrecv';
+                    }
+                    addSourcesToMline(newMline, ssrc, ssrc2group, mLine.sources);
+                    media[newMline.mid] = newMline;
+
+                    return;
+                }
+
+                // Create and append the m-lines to the existing description.
+                if (checkIfMlineForSsrcExists(ssrc, ssrc2group, currentDesc.media)) {
+                    return;
+                }
+                const newMline = clonedeep(mLine);
+
+                newMline.direction = local ? addSendDirection(mLine.direction) : 'sendonly';
+                addSourcesToMline(newMline, ssrc, ssrc2group, mLine.sources);
+
+                // Recycle an inactive m-line of the same media type if there is one, as permitted by JSEP,
+                // instead of growing the description with a new mid. A local source can also be sent on an
+                // m-line that only receives so far.
+                const recycledMlineIdx = currentDesc.media.findIndex(m => m.type === type
+                    && !m.sources
+                    && (m.direction === 'inactive' || (local && m.direction === 'recvonly')));
+
+                if (recycledMlineIdx > -1) {
+                    const recycledMline = currentDesc.media[recycledMlineIdx];
+
+                    newMline.mid = recycledMline.mid;
+                    if (local) {
+                        newMline.direction = addSendDirection(recycledMline.direction);
+                    }
+                    currentDesc.media[recycledMlineIdx] = newMline;
+
+                    return;
+                }
+                newMline.mid = getNextMid(currentDesc.media, this._mappings);
                 currentDesc.media.push(newMline);
             });
         });
-        session.media = currentDesc ? currentDesc.media : Object.values(media);
+
+        if (currentDesc && currentDesc.media) {
+            this._removeMappings(deactivateRemovedMlines(currentDesc, session));
+
+            // The data m-line cannot be removed either, it is rejected when the data channel is gone.
+            if (!session.media.some(m => m.type === 'application')) {
+                currentDesc.media.filter(m => m.type === 'application').forEach(m => {
+                    m.port = 0;
+                });
+            }
+        }
+
+        return currentDesc ? currentDesc.media : Object.values(media);
+    }
+
+    /**
+     * Creates the Unified Plan m-lines of an answer. The m-lines mirror the mids and the order of the m-lines
+     * of the offer, the sources of the Plan B answer are put in the m-lines in which the offerer is willing to
+     * receive them and the directions are derived from the ones in the offer. The m-lines whose media type is
+     * not part of the Plan B answer are rejected, without the transport attributes of the offer.
+     * @param {Object} session - the parsed answer in Plan B format.
+     * @param {Object} offerDesc - the parsed offer in Unified Plan format.
+     * @returns {Array<Object>} - the m-lines of the answer in Unified Plan format.
+     * @private
+     */
+    _createAnswerMedia(session, offerDesc) {
+        const media = offerDesc.media.map(offerMline => {
+            // The transport of each m-line is set from the Plan B m-line that carries its sources afterwards, the
+            // template only has to be active when any Plan B m-line of the media type is.
+            const sameType = session.media.filter(m => m.type === offerMline.type);
+            const envelope = sameType.find(m => !isRejected(m)) || sameType[0];
+            const mLine = clonedeep(envelope || offerMline);
+
+            mLine.mid = offerMline.mid;
+            delete mLine.sources;
+            delete mLine.ssrcGroups;
+            delete mLine.msid;
+
+            // The m-lines without a Plan B m-line are copies of the offer and must not carry the transport of the
+            // offerer, since toUnifiedPlan has no transport to replace it with.
+            if (!envelope) {
+                delete mLine.iceUfrag;
+                delete mLine.icePwd;
+                delete mLine.iceOptions;
+                delete mLine.fingerprint;
+                delete mLine.setup;
+                delete mLine.candidates;
+                delete mLine.endOfCandidates;
+                delete mLine.rtcp;
+            }
+            if (!envelope || envelope.port === 0 || offerMline.port === 0) {
+                mLine.port = 0;
+                mLine.direction = 'inactive';
+            } else if (mLine.type !== 'application') {
+                // The remote side of the answer is the offerer.
+                mLine.direction = hasSend(offerMline.direction) && hasRecv(envelope.direction)
+                    ? 'recvonly' : 'inactive';
+            }
+
+            return mLine;
+        });
+
+        session.media.filter(envelope => envelope.type !== 'application' && envelope.sources).forEach(envelope => {
+            const ssrc2group = createSourceGroupMap(envelope.ssrcGroups);
+
+            envelope.sources.forEach(ssrc => {
+                if (!ssrc.msid || checkIfMlineForSsrcExists(ssrc, ssrc2group, media)) {
+                    return;
+                }
+
+                // The m-lines in which the offerer is willing to receive and that do not carry a source yet.
+                const availableMlines = media.filter((mLine, idx) => mLine.type === envelope.type
+                    && mLine.port !== 0
+                    && !mLine.sources
+                    && hasRecv(offerDesc.media[idx].direction));
+                const mapping = this._mappings.find(entry => entry.sources.some(src => src.ssrc === ssrc.id));
+                const mLine = (mapping && availableMlines.find(m => m.mid.toString() === mapping.mid))
+                    || availableMlines[0];
+
+                if (!mLine) {
+                    this._logger.warn(`The offer has no m-line in which ssrc ${ssrc.id} can be sent.`);
+
+                    return;
+                }
+                addSourcesToMline(mLine, ssrc, ssrc2group, envelope.sources);
+                mLine.direction = mLine.direction === 'recvonly' ? 'sendrecv' : 'sendonly';
+            });
+        });
+
+        return media;
+    }
+
+    /**
+     * This method transforms a Unified Plan SDP to an equivalent Plan B SDP. The state learned from the previous
+     * conversions is left untouched if the description is rejected in strict mode.
+     * @param {RTCSessionDescription} description - The description in Unified plan format.
+     * @param {Object} options - The options of the conversion.
+     * @param {boolean} options.keepState - whether the state learned from the previous conversions is left
+     * untouched, e.g. to expose a description that was already converted once without updating the mappings.
+     * @returns RTCSessionDescription - The transformed session description.
+     */
+    toPlanB(description, options = {}) {
+        const state = this._getState();
+        let planBDesc;
+
+        try {
+            planBDesc = this._toPlanB(description);
+        } catch (error) {
+            this._setState(state);
+            throw error;
+        }
+        if (options.keepState) {
+            this._setState(state);
+        }
+
+        return planBDesc;
+    }
+
+    /**
+     * Transforms a Unified Plan SDP to an equivalent Plan B SDP, see {@link Interop#toPlanB}.
+     * @param {RTCSessionDescription} description - the description in Unified Plan format.
+     * @returns {RTCSessionDescription} - the description in Plan B format.
+     * @private
+     */
+    _toPlanB(description) {
+        if (!description || typeof description.sdp !== 'string') {
+            return this._rejectDescription(
+                new EmptyDescriptionError('An empty description was passed as an argument.', { description }),
+                description);
+        }
+
+        // Objectify the SDP for easier manipulation.
+        const session = transform.parse(description.sdp);
+
+        const malformedError = getMalformedSdpError(session, description.sdp);
+
+        if (malformedError) {
+            return this._rejectDescription(malformedError, description);
+        }
+
+        // If the SDP contains no media, there's nothing to transform.
+        if (!session.media || !session.media.length) {
+            return this._rejectDescription(
+                new NoMediaError('The description has no media.', { sdp: description.sdp }),
+                description);
+        }
+
+        // Make sure this is a unified plan sdp
+        const envelopeMids = this._getPlanBMids();
+        const { semantics, reasons } = detectSemantics(description, { planBMids: Object.values(envelopeMids) });
+
+        if (semantics === SEMANTICS_PLAN_B) {
+            return this._rejectDescription(
+                new NotUnifiedPlanError('The description does not look like unified plan sdp', {
+                    mids: session.media.map(m => m.mid),
+                    reasons,
+                    sdp: description.sdp
+                }),
+                description);
+        }
+
+        if (this._options.validate) {
+            const error = this._getValidationError(description, SEMANTICS_UNIFIED_PLAN);
+
+            if (error) {
+                return this._rejectDescription(error, description);
+            }
+        }
+
+        const media = new Map();
+        const sessionMedia = session.media;
+        const bundleMids = getBundleMids(session);
+        const bundledTypes = new Set(sessionMedia
+            .filter(mLine => bundleMids.indexOf(mLine.mid.toString()) > -1)
+            .map(mLine => mLine.type));
+        const usedSsrcs = getSsrcs(sessionMedia);
+        const cname = getCname(sessionMedia);
+
+        sessionMedia.forEach(mLine => {
+            mLine.msid = getMediaMsid(mLine);
+            this._convertRidsToSsrcs(mLine, usedSsrcs, cname);
+        });
+        this._updateMappings(sessionMedia);
+        session.media = [];
+
+        const envelopes = new Map(sessionMedia.map(mLine => [ mLine, this._getEnvelope(mLine) ]));
+
+        sessionMedia.forEach(mLine => {
+            const type = mLine.type;
+            const envelope = envelopes.get(mLine);
+
+            // The rejected m-lines, and their stale sources, are ignored unless all the m-lines of their envelope
+            // are rejected, in which case the Plan B m-line is rejected too.
+            if (isRejected(mLine)
+                && (media.has(envelope)
+                    || sessionMedia.some(m => envelopes.get(m) === envelope && !isRejected(m)))) {
+                return;
+            }
+
+            if (type === 'application') {
+                if (this._options.translateDataChannels) {
+                    convertSctpPortToSctpmap(mLine);
+                }
+                mLine.mid = envelopeMids[type];
+                media.set(envelope, mLine);
+
+                return;
+            }
+            if (!media.has(envelope)) {
+                const bLine = clonedeep(mLine);
+
+                // Reconcile the codecs and the extensions of the active m-lines of the same envelope.
+                const conflicts = reconcileMedia(bLine,
+                    sessionMedia.filter(m => envelopes.get(m) === envelope && m !== mLine && !isRejected(m)
+                        && m.direction !== 'inactive'),
+                    this._options.mergePolicy);
+
+                // The conflicts resolved by the merge policy are only reported, even in strict mode.
+                conflicts.forEach(({ message, resolved, ...details }) => {
+                    if (resolved) {
+                        this._logger.warn(message);
+                    } else {
+                        this._rejectDescription(new IncompatibleMediaError(message, details), description);
+                    }
+                });
+
+                // A rejected m-line has no sources.
+                if (isRejected(mLine)) {
+                    delete bLine.sources;
+                    delete bLine.ssrcGroups;
+                }
+
+                // Copy the msid attribute to all the ssrcs if they belong to the same source group
+                if (bLine.sources && Array.isArray(bLine.sources)) {
+                    bLine.sources.forEach(source => {
+                        mLine.msid ? source.msid = mLine.msid : delete source.msid;
+                    });
+                }
+
+                // Do not signal the FID groups if there is no msid attribute present
+                // on the sources as sesison-accept with this source info will fail strophe
+                // validation and the session will not be established. This behavior is seen
+                // on Firefox (with RTX enabled) when no video source is added at the join time.
+                // FF generates two recvonly ssrcs with no msid and a corresponding FID group in
+                // this case.
+                if (!bLine.ssrcGroups || !mLine.msid) {
+                    bLine.ssrcGroups = [];
+                }
+                delete bLine.msid;
+                bLine.mid = envelopeMids[envelope] || envelope;
+                media.set(envelope, bLine);
+            } else if (mLine.msid) {
+                // Add sources and source-groups to the existing m-line of the same envelope.
+                const bLine = clonedeep(mLine);
+
+                if (bLine.sources && Array.isArray(bLine.sources)) {
+                    // Copy the msid attribute to each ssrc.
+                    bLine.sources.forEach(ssrc => {
+                        ssrc.msid = mLine.msid;
+                    });
+                    media.get(envelope).sources = (media.get(envelope).sources || []).concat(bLine.sources);
+                }
+                if (typeof bLine.ssrcGroups !== 'undefined' && Array.isArray(bLine.ssrcGroups)) {
+                    media.get(envelope).ssrcGroups = (media.get(envelope).ssrcGroups || []).concat(bLine.ssrcGroups);
+                }
+            }
+        });
+
+        // The Plan B m-line sends if any m-line of its envelope sends and receives if any of them receives.
+        media.forEach((mline, envelope) => {
+            const activeMlines = sessionMedia.filter(m => envelopes.get(m) === envelope && !isRejected(m));
+
+            if (mline.type === 'application' || !activeMlines.length) {
+                return;
+            }
+            const direction = getAggregateDirection(activeMlines);
+
+            // Leave out the direction attribute of a sendrecv m-line that had none.
+            if (direction !== (mline.direction || 'sendrecv')) {
+                mline.direction = direction;
+            }
+        });
+        session.media = this._orderEnvelopes(media, envelopeMids);
+        this._lastMids = {
+            planB: getMids(session.media),
+            unifiedPlan: getMids(sessionMedia)
+        };
+
+        // Bundle the media only if it is active, i.e., if any m-line of its type sends or receives, is not rejected
+        // and was bundled in the Unified Plan description.
+        const bundle = [];
+
+        session.media.forEach(mline => {
+            if (mline.direction !== 'inactive' && !isRejected(mline) && bundledTypes.has(mline.type)) {
+                bundle.push(mline.mid);
+            }
+        });
+
+        // We regenerate the BUNDLE group with the new mids.
+        (session.groups || []).forEach(group => {
+            if (group.type === 'BUNDLE') {
+                group.mids = bundle.join(' ');
+            }
+        });
+
+        // msid semantic
+        session.msidSemantic = {
+            semantic: 'WMS',
+            token: '*'
+        };
+        const resStr = transform.write(session);
+
+        return this._createDescription({
+            type: description.type,
+            sdp: resStr
+        });
+    }
+
+    /**
+     * This method transforms a Plan B SDP to an equivalent Unified Plan SDP. The state learned from the previous
+     * conversions is left untouched if the description is rejected in strict mode.
+     * @param {RTCSessionDescription} description - The description in plan-b format.
+     * @param {RTCSessionDescription} current - The current description set on
+     * the peerconnection in Unified-plan format, i.e., the readonly attribute
+     * remoteDescription on the RTCPeerConnection object. When it is not passed,
+     * the m-lines are recreated from the mid mappings learned from the previous
+     * conversions, if any. It is not used when options.offer is set.
+     * @param {Object} options - The options of the conversion.
+     * @param {RTCSessionDescription} options.offer - The offer in Unified-plan
+     * format the description answers, i.e., the localDescription for a remote
+     * answer and the remoteDescription for a local answer. When it is set, the
+     * m-lines of the answer mirror the mids, the order and the directions of
+     * the m-lines of the offer.
+     * @param {string} options.perspective - 'remote' (default) when the description
+     * was received from the remote endpoint and 'local' when it was generated
+     * locally and is going to be set as the local description. It selects the
+     * directions of the m-lines: the m-lines of remote sources are 'sendonly'
+     * while the local sources are sent on the m-lines that only receive so far
+     * and the m-lines without a local source keep receiving. It does not apply
+     * to answers, whose directions are derived from the offer.
+     * @returns RTCSessionDescription - The transformed session description.
+     */
+    toUnifiedPlan(description, current = null, options = {}) {
+        const state = this._getState();
+
+        try {
+            return this._toUnifiedPlan(description, current, options);
+        } catch (error) {
+            this._setState(state);
+            throw error;
+        }
+    }
+
+    /**
+     * Transforms a Plan B SDP to an equivalent Unified Plan SDP, see {@link Interop#toUnifiedPlan}.
+     * @param {RTCSessionDescription} description - the description in Plan B format.
+     * @param {RTCSessionDescription} current - the current description in Unified Plan format.
+     * @param {Object} options - the options of the conversion.
+     * @returns {RTCSessionDescription} - the description in Unified Plan format.
+     * @private
+     */
+    _toUnifiedPlan(description, current, options) {
+        if (!description || typeof description.sdp !== 'string') {
+            return this._rejectDescription(
+                new EmptyDescriptionError('An empty description was passed as an argument.', { description }),
+                description);
+        }
+
+        // Objectify the SDP for easier manipulation.
+        const session = transform.parse(description.sdp);
+
+        const malformedError = getMalformedSdpError(session, description.sdp);
+
+        if (malformedError) {
+            return this._rejectDescription(malformedError, description);
+        }
+
+        // If the SDP contains no media, there's nothing to transform.
+        if (!session.media || !session.media.length) {
+            return this._rejectDescription(
+                new NoMediaError('The description has no media.', { sdp: description.sdp }),
+                description);
+        }
+
+        // Make sure this is a plan-b sdp.
+        const envelopeMids = this._getPlanBMids();
+        const { semantics, reasons } = detectSemantics(description, { planBMids: Object.values(envelopeMids) });
+
+        if (semantics === SEMANTICS_UNIFIED_PLAN) {
+            return this._rejectDescription(
+                new NotPlanBError('The description does not look like plan-b', {
+                    mids: session.media.map(m => m.mid),
+                    reasons,
+                    sdp: description.sdp
+                }),
+                description);
+        }
+        if (this._options.validate) {
+            const error = this._getValidationError(description, SEMANTICS_PLAN_B);
+
+            if (error) {
+                return this._rejectDescription(error, description);
+            }
+        }
+        if (this._options.translateDataChannels) {
+            session.media.filter(m => m.type === 'application').forEach(convertSctpmapToSctpPort);
+        }
+        session.media.forEach(synthesizeSourceMsids);
+        const isAnswer = Boolean(options.offer);
+        const reference = isAnswer ? options.offer : current;
+        const local = options.perspective === LOCAL_PERSPECTIVE;
+        const currentDesc = reference
+            ? transform.parse(reference.sdp)
+            : this._createDescriptionFromMappings(session, local);
+        const currentError = reference && getMalformedSdpError(currentDesc, reference.sdp);
+
+        if (currentError) {
+            return this._rejectDescription(currentError, description);
+        }
+
+        // An answer has the m-lines of the offer, it cannot be created for an offer without m-lines.
+        if (isAnswer && (!currentDesc.media || !currentDesc.media.length)) {
+            return this._rejectDescription(
+                new NoMediaError('The offer has no media.', { sdp: options.offer.sdp }),
+                description);
+        }
+
+        // The simulcast m-lines of the current description carry the same SIM groups as the Plan B description.
+        if (current && !isAnswer) {
+            const usedSsrcs = getSsrcs(currentDesc.media);
+            const cname = getCname(currentDesc.media);
+
+            currentDesc.media.forEach(mLine => this._convertRidsToSsrcs(mLine, usedSsrcs, cname));
+        }
+        const transports = getTransports(session, envelopeMids);
+        const planBMedia = session.media;
+        const planBMids = getMids(planBMedia);
+
+        session.media = isAnswer
+            ? this._createAnswerMedia(session, currentDesc)
+            : this._createMedia(session, currentDesc, local);
+        session.media.forEach(mLine => this._restoreMsids(mLine));
+        this._updateMappings(session.media);
+        session.media.forEach(mLine => this._restoreRids(mLine));
+        this._lastMids = {
+            planB: planBMids,
+            unifiedPlan: getMids(session.media)
+        };
         const mids = [];
 
+        // The ICE restarts are detected for each transport separately: the m-lines of a transport that is not
+        // restarted keep the ICE credentials of the current description.
+        const previousMlines = new Map(session.media.map(mLine => [
+            mLine,
+            current && !isAnswer ? currentDesc.media.find(m => String(m.mid) === String(mLine.mid)) : undefined
+        ]));
+        const mLineTransports = new Map(session.media.map(mLine => [
+            mLine,
+            getMlineTransport(mLine, planBMedia, transports, envelopeMids)
+        ]));
+        const restarted = new Set();
+
+        transports.forEach(transport => {
+            const previous = session.media.filter(m => mLineTransports.get(m) === transport)
+                .map(m => previousMlines.get(m))
+                .filter(m => m);
+
+            if (checkForIceRestart(transport, previous)) {
+                restarted.add(transport);
+            }
+        });
+
         session.media.forEach(mLine => {
-            mids.push(mLine.mid);
-            if (iceRestart) {
-                mLine.iceUfrag = newIceUfrag;
-                mLine.icePwd = newIcePwd;
+            const transport = mLineTransports.get(mLine);
+
+            // The m-lines of an answer whose media type is not in the description are rejected and keep the
+            // transport of the offer.
+            if (!transport) {
+                return;
+            }
+
+            // All the m-lines whose Plan B m-line is rejected are rejected, without sources.
+            if (transport.rejected) {
+                mLine.port = 0;
+                mLine.direction = 'inactive';
+                delete mLine.bundleOnly;
+                delete mLine.sources;
+                delete mLine.ssrcGroups;
+                delete mLine.msid;
+            }
+
+            // Every m-line gets the connection data and the candidates of the Plan B m-line of its envelope, so
+            // that the endpoints that do not trickle the candidates can connect whatever m-line they pick. The
+            // m-lines are bundle-only when the Plan B m-line is, otherwise they carry an address and cannot be
+            // bundle-only. A bundle-only m-line has a zero port without being rejected.
+            if (!isRejected(mLine) && transport.bundleOnly) {
+                mLine.port = 0;
+                mLine.bundleOnly = transport.bundleOnly;
+            } else {
+                if (!isRejected(mLine) && transport.port !== 0) {
+                    mLine.port = transport.port;
+                }
+                delete mLine.bundleOnly;
             }
-            mLine.fingerprint = newFingerprint;
+            mLine.connection = clonedeep(transport.connection);
+            mLine.rtcp = clonedeep(transport.rtcp);
+            mLine.candidates = clonedeep(transport.candidates);
+            mLine.endOfCandidates = transport.endOfCandidates;
+
+            // Rejected m-lines are not part of the BUNDLE group.
+            if (transport.bundled && !isRejected(mLine)) {
+                mids.push(mLine.mid);
+            }
+
+            const previous = previousMlines.get(mLine);
+
+            if (previous && !isRejected(previous) && previous.iceUfrag && !restarted.has(transport)) {
+                mLine.iceUfrag = previous.iceUfrag;
+                mLine.icePwd = previous.icePwd;
+            } else {
+                mLine.iceUfrag = transport.iceUfrag;
+                mLine.icePwd = transport.icePwd;
+            }
+            mLine.fingerprint = transport.fingerprint;
         });
 
         // We regenerate the BUNDLE group (since we regenerated the mids)
-        session.groups.forEach(group => {
+        (session.groups || []).forEach(group => {
             if (group.type === 'BUNDLE') {
                 group.mids = mids.join(' ');
             }
@@ -464,9 +1884,44 @@ export class Interop {
         session.origin.sessionVersion++;
         const resultSdp = transform.write(session);
 
-        return new RTCSessionDescription({
+        return this._createDescription({
             type: description.type,
             sdp: resultSdp
         });
     }
+
+    /**
+     * Transforms a Unified Plan SDP string to an equivalent Plan B SDP string. This is a convenience wrapper
+     * around {@link Interop#toPlanB} for environments that do not deal with session descriptions.
+     * @param {string} sdp - The SDP in Unified Plan format.
+     * @param {string} type - The type of the session description, 'offer' or 'answer'.
+     * @returns {string} - The transformed SDP.
+     */
+    toPlanBSdp(sdp, type = 'offer') {
+        return this.toPlanB({
+            type,
+            sdp
+        }).sdp;
+    }
+
+    /**
+     * Transforms a Plan B SDP string to an equivalent Unified Plan SDP string. This is a convenience wrapper
+     * around {@link Interop#toUnifiedPlan} for environments that do not deal with session descriptions.
+     * @param {string} sdp - The SDP in Plan B format.
+     * @param {string} currentSdp - The current SDP in Unified Plan format, if any.
+     * @param {string} type - The type of the session description, 'offer' or 'answer'.
+     * @param {Object} options - The options of the conversion, see {@link Interop#toUnifiedPlan}.
+     * @returns {string} - The transformed SDP.
+     */
+    toUnifiedPlanSdp(sdp, currentSdp = null, type = 'offer', options = {}) {
+        const current = currentSdp ? {
+            type,
+            sdp: currentSdp
+        } : null;
+
+        return this.toUnifiedPlan({
+            type,
+            sdp
+        }, current, options).sdp;
+    }
 }
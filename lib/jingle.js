@@ -0,0 +1,299 @@
+/* Copyright @ 2015 - Present, 8x8 Inc
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { isSameGroup } from './sources.js';
+import transform from './transform.js';
+
+const RTP_NS = 'urn:xmpp:jingle:apps:rtp:1';
+const SSMA_NS = 'urn:xmpp:jingle:apps:rtp:ssma:0';
+
+/**
+ * The attributes of a source that are signaled as attributes of the source element rather than as parameters.
+ */
+const SOURCE_ELEMENT_ATTRIBUTES = [ 'name', 'videoType' ];
+
+const XML_ENTITIES = {
+    amp: '&',
+    apos: '\'',
+    gt: '>',
+    lt: '<',
+    quot: '"'
+};
+
+/**
+ * Escapes a value so that it can be used as an XML attribute value.
+ * @param {string|number} value - the value.
+ * @returns {string} - the escaped value.
+ */
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Unescapes an XML attribute value.
+ * @param {string} value - the escaped value.
+ * @returns {string} - the value.
+ */
+function unescapeXml(value) {
+    return value.replace(/&(amp|apos|gt|lt|quot);/g, (match, entity) => XML_ENTITIES[entity]);
+}
+
+/**
+ * Parses the attributes of an XML element.
+ * @param {string} attributes - the attributes, as they appear in the start tag.
+ * @returns {Object} - the attribute values by attribute name.
+ */
+function parseAttributes(attributes) {
+    const attrs = {};
+    const attributeRe = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let match;
+
+    while ((match = attributeRe.exec(attributes)) !== null) {
+        attrs[match[1]] = unescapeXml(typeof match[2] === 'undefined' ? match[3] : match[2]);
+    }
+
+    return attrs;
+}
+
+/**
+ * Parses an XML string into a tree of elements. Only the elements and their attributes are kept, the text, the
+ * comments and the processing instructions are skipped and the namespace prefixes are removed from the element
+ * names. This is all the Jingle source descriptions need and it does not depend on a DOM implementation.
+ * @param {string} xml - the XML string.
+ * @returns {Object} - the root of the tree, whose children are the top-level elements. Every element has a name,
+ * the attribute values by attribute name and its children.
+ */
+function parseXml(xml) {
+    const root = {
+        name: '',
+        attrs: {},
+        children: []
+    };
+    const stack = [ root ];
+    const tagRe = /<!--[\s\S]*?-->|<[?!][^>]*>|<(\/?)([^\s/>]+)((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>/g;
+    let match;
+
+    while ((match = tagRe.exec(xml)) !== null) {
+        const [ , closing, tagName, attributes, selfClosing ] = match;
+        const name = tagName && tagName.split(':').pop();
+
+        if (closing) {
+            const idx = stack.map(element => element.name).lastIndexOf(name);
+
+            if (idx > 0) {
+                stack.length = idx;
+            }
+        } else if (name) {
+            const element = {
+                name,
+                attrs: parseAttributes(attributes),
+                children: []
+            };
+
+            stack[stack.length - 1].children.push(element);
+            if (!selfClosing) {
+                stack.push(element);
+            }
+        }
+    }
+
+    return root;
+}
+
+/**
+ * Finds the elements with the given name in a tree of elements.
+ * @param {Object} element - the root of the tree.
+ * @param {string} name - the name of the elements.
+ * @returns {Array<Object>} - the elements, in document order.
+ */
+function findElements(element, name) {
+    return element.children.reduce((found, child) => found.concat(
+        child.name === name ? [ child ] : findElements(child, name)), []);
+}
+
+/**
+ * Converts the Jingle descriptions of an XML string, e.g. the contents of a session-initiate, source-add or
+ * source-remove IQ, to the sources and the ssrc-groups of the m-lines they describe. The source parameters and
+ * the attributes of the source elements other than the ssrc, e.g. the name and the videoType, become the
+ * attributes of the sources. A parameter wins over an element attribute with the same name.
+ * @param {string} xml - the XML string that contains the description elements.
+ * @returns {Array<Object>} - for every description, the media type and the sources and the ssrc-groups, in the
+ * format produced by transform.parse.
+ */
+export function jingleToSources(xml) {
+    return findElements(parseXml(xml), 'description').map(description => {
+        const sources = description.children.filter(child => child.name === 'source').map(element => {
+            const source = { id: Number(element.attrs.ssrc) };
+
+            element.children.filter(child => child.name === 'parameter').forEach(parameter => {
+                source[parameter.attrs.name] = parameter.attrs.value;
+            });
+            Object.keys(element.attrs)
+                .filter(attribute => attribute !== 'ssrc' && attribute !== 'xmlns' && !attribute.startsWith('xmlns:'))
+                .forEach(attribute => {
+                    if (typeof source[attribute] === 'undefined') {
+                        source[attribute] = element.attrs[attribute];
+                    }
+                });
+
+            return source;
+        });
+        const ssrcGroups = description.children.filter(child => child.name === 'ssrc-group').map(element => {
+            return {
+                semantics: element.attrs.semantics,
+                ssrcs: element.children.filter(child => child.name === 'source').map(source => source.attrs.ssrc)
+            };
+        });
+
+        return {
+            type: description.attrs.media,
+            sources,
+            ssrcGroups
+        };
+    });
+}
+
+/**
+ * Converts the sources and the ssrc-groups of an m-line to a Jingle description element, e.g. to signal them
+ * in a source-add or a source-remove IQ. The name and the videoType attributes of a source become attributes of
+ * the source element and its other attributes become source parameters.
+ * @param {Object} mLine - the m-line, in the format produced by transform.parse, or an object with its media type,
+ * its sources and its ssrc-groups.
+ * @returns {string} - the description element.
+ */
+export function sourcesToJingle(mLine) {
+    const sources = (mLine.sources || []).map(source => {
+        const attributes = SOURCE_ELEMENT_ATTRIBUTES.filter(attribute => typeof source[attribute] !== 'undefined')
+            .map(attribute => ` ${attribute}="${escapeXml(source[attribute])}"`);
+        const parameters = Object.keys(source)
+            .filter(attribute => attribute !== 'id' && SOURCE_ELEMENT_ATTRIBUTES.indexOf(attribute) === -1)
+            .map(attribute => {
+                const value = typeof source[attribute] === 'undefined' ? ''
+                    : ` value="${escapeXml(source[attribute])}"`;
+
+                return `<parameter name="${escapeXml(attribute)}"${value}/>`;
+            });
+
+        return `<source xmlns="${SSMA_NS}" ssrc="${source.id}"${attributes.join('')}>${parameters.join('')}`
+            + '</source>';
+    });
+    const ssrcGroups = (mLine.ssrcGroups || []).map(group => {
+        const ssrcs = group.ssrcs.map(ssrc => `<source ssrc="${ssrc}"/>`);
+
+        return `<ssrc-group xmlns="${SSMA_NS}" semantics="${escapeXml(group.semantics)}">${ssrcs.join('')}`
+            + '</ssrc-group>';
+    });
+
+    return `<description xmlns="${RTP_NS}" media="${escapeXml(mLine.type)}">${sources.concat(ssrcGroups).join('')}`
+        + '</description>';
+}
+
+/**
+ * Returns the Plan B m-line a source is added to, i.e., the m-line of the envelope the source is routed to, or the
+ * m-line of its media type when it is not routed or when the description has no m-line for its envelope.
+ * @param {Array<Object>} media - the m-lines of the parsed Plan B description.
+ * @param {string} type - the media type of the source.
+ * @param {Object} source - the source, with its attributes.
+ * @param {Object} options - the routing options, see {@link addJingleSources}.
+ * @returns {Object|undefined} - the m-line, undefined if the description has no m-line of the media type.
+ */
+function getSourceMline(media, type, source, { planBMids = {}, routeSource } = {}) {
+    const sameType = media.filter(mLine => mLine.type === type);
+    const envelope = typeof routeSource === 'function' && routeSource(source, {
+        type,
+        sources: [ source ]
+    });
+    const findMid = mid => typeof mid !== 'undefined' && sameType.find(mLine => String(mLine.mid) === String(mid));
+
+    return (envelope && findMid(typeof planBMids[envelope] === 'undefined' ? envelope : planBMids[envelope]))
+        || findMid(planBMids[type])
+        || sameType[0];
+}
+
+/**
+ * Applies the Jingle descriptions of a source-add IQ to a Plan B sdp: the sources are added to the m-line of their
+ * envelope, unless they are already in an m-line of their media type, and the ssrc-groups to the m-line of their
+ * first source. The sources are routed like in toPlanB, e.g. to keep the screen share in a separate m-line.
+ * @param {string} sdp - the Plan B sdp.
+ * @param {string} xml - the XML string that contains the description elements.
+ * @param {Object} options - the routing options.
+ * @param {Object} options.planBMids - the mids of the Plan B m-lines by envelope, like the planBMids option of
+ * the Interop. The envelopes not listed use their name as mid.
+ * @param {Function} options.routeSource - the rule that routes a source to an envelope, like the routeSource
+ * option of the Interop. It is called with the source and an object with the media type and the source, and
+ * returns the name of the envelope, or nothing for the m-line of the media type.
+ * @returns {string} - the sdp with the sources added.
+ */
+export function addJingleSources(sdp, xml, options = {}) {
+    const session = transform.parse(sdp);
+    const media = session.media || [];
+
+    jingleToSources(xml).forEach(({ type, sources, ssrcGroups }) => {
+        const sameType = media.filter(m => m.type === type);
+        const findSourceMline = ssrc => sameType.find(m => (m.sources || []).some(src => String(src.id) === ssrc));
+
+        sources.forEach(source => {
+            const mLine = !findSourceMline(String(source.id)) && getSourceMline(media, type, source, options);
+
+            if (mLine) {
+                mLine.sources = (mLine.sources || []).concat(source);
+            }
+        });
+        ssrcGroups.forEach(group => {
+            const mLine = findSourceMline(String(group.ssrcs[0])) || getSourceMline(media, type, {}, {
+                planBMids: options.planBMids
+            });
+
+            if (mLine && !sameType.some(m => (m.ssrcGroups || []).some(grp => isSameGroup(grp, group)))) {
+                mLine.ssrcGroups = (mLine.ssrcGroups || []).concat(group);
+            }
+        });
+    });
+
+    return transform.write(session);
+}
+
+/**
+ * Applies the Jingle descriptions of a source-remove IQ to a Plan B sdp: the sources are removed from the m-lines of
+ * their media type that carry them, along with the ssrc-groups they are part of.
+ * @param {string} sdp - the Plan B sdp.
+ * @param {string} xml - the XML string that contains the description elements.
+ * @returns {string} - the sdp with the sources removed.
+ */
+export function removeJingleSources(sdp, xml) {
+    const session = transform.parse(sdp);
+
+    jingleToSources(xml).forEach(({ type, sources, ssrcGroups }) => {
+        const removed = sources.map(source => source.id.toString())
+            .concat(...ssrcGroups.map(group => group.ssrcs));
+
+        (session.media || []).filter(m => m.type === type).forEach(mLine => {
+            if (mLine.sources) {
+                mLine.sources = mLine.sources.filter(source => removed.indexOf(source.id.toString()) === -1);
+            }
+            if (mLine.ssrcGroups) {
+                mLine.ssrcGroups = mLine.ssrcGroups.filter(
+                    group => !group.ssrcs.some(ssrc => removed.indexOf(ssrc) > -1));
+            }
+        });
+    });
+
+    return transform.write(session);
+}
@@ -0,0 +1,294 @@
+/* Copyright @ 2015 - Present, 8x8 Inc
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { Interop } from './interop.js';
+
+/**
+ * InteropPeerConnection wraps a Unified Plan RTCPeerConnection and exposes Plan B
+ * session descriptions to the application. The descriptions passed to
+ * setLocalDescription and setRemoteDescription are converted to Unified Plan
+ * before they are handed over to the peerconnection and the descriptions created
+ * by the peerconnection are converted to Plan B before they are returned. In strict
+ * mode, the descriptions and the candidates that cannot be converted reject the
+ * returned promises.
+ */
+export class InteropPeerConnection {
+    /**
+     * Creates a new adapter.
+     * @param {RTCPeerConnection} peerconnection - The Unified Plan peerconnection to wrap.
+     * @param {Object} options - The options of the {@link Interop} instance used for the conversions. The
+     * instance is always stateful so that the local Plan B descriptions can be converted back to the
+     * Unified Plan descriptions they were created from.
+     */
+    constructor(peerconnection, options = {}) {
+        /**
+         * The wrapped peerconnection.
+         * @type {RTCPeerConnection}
+         */
+        this.peerconnection = peerconnection;
+
+        /**
+         * The Interop instance used for the conversions.
+         * @type {Interop}
+         */
+        this.interop = new Interop({
+            ...options,
+            stateful: true
+        });
+
+        /**
+         * The logger of this adapter.
+         * @type {Object}
+         */
+        this._logger = options.logger || console;
+
+        /**
+         * The last local and remote descriptions of the peerconnection with their conversion to Plan B, so that
+         * the descriptions read several times keep the same generated simulcast ssrcs.
+         * @type {Object}
+         */
+        this._planBDescriptions = {
+            local: null,
+            remote: null
+        };
+
+        /**
+         * The icecandidate event handler of the application.
+         * @type {Function|null}
+         */
+        this._onicecandidate = null;
+
+        /**
+         * The wrappers of the icecandidate event listeners of the application, by listener.
+         * @type {Map<Function, Function>}
+         */
+        this._iceCandidateListeners = new Map();
+    }
+
+    /**
+     * The local description of the peerconnection in Plan B format.
+     * @type {RTCSessionDescription|null}
+     */
+    get localDescription() {
+        return this._toPlanB(this.peerconnection.localDescription, 'local');
+    }
+
+    /**
+     * The remote description of the peerconnection in Plan B format.
+     * @type {RTCSessionDescription|null}
+     */
+    get remoteDescription() {
+        return this._toPlanB(this.peerconnection.remoteDescription, 'remote');
+    }
+
+    /**
+     * The icecandidate event handler. The candidates gathered by the peerconnection are translated to the
+     * Plan B mids before the handler is called.
+     * @type {Function|null}
+     */
+    get onicecandidate() {
+        return this._onicecandidate;
+    }
+
+    /**
+     * Sets the icecandidate event handler.
+     * @param {Function|null} handler - The handler, called with the candidates translated to the Plan B mids.
+     */
+    set onicecandidate(handler) {
+        this._onicecandidate = handler;
+        this.peerconnection.onicecandidate = typeof handler === 'function'
+            ? event => this._dispatchIceCandidate(event, handler)
+            : handler;
+    }
+
+    /**
+     * Adds an event listener to the peerconnection. The icecandidate listeners get the candidates translated to
+     * the Plan B mids.
+     * @param {string} type - The event type.
+     * @param {Function} listener - The event listener.
+     * @param {Object|boolean} options - The options passed to the peerconnection.
+     * @returns {void}
+     */
+    addEventListener(type, listener, options) {
+        if (type !== 'icecandidate' || typeof listener !== 'function') {
+            this.peerconnection.addEventListener(type, listener, options);
+
+            return;
+        }
+        if (!this._iceCandidateListeners.has(listener)) {
+            this._iceCandidateListeners.set(listener, event => this._dispatchIceCandidate(event, listener));
+        }
+        this.peerconnection.addEventListener(type, this._iceCandidateListeners.get(listener), options);
+    }
+
+    /**
+     * Removes an event listener from the peerconnection.
+     * @param {string} type - The event type.
+     * @param {Function} listener - The event listener.
+     * @param {Object|boolean} options - The options passed to the peerconnection.
+     * @returns {void}
+     */
+    removeEventListener(type, listener, options) {
+        const wrapper = type === 'icecandidate' && this._iceCandidateListeners.get(listener);
+
+        this.peerconnection.removeEventListener(type, wrapper || listener, options);
+        if (wrapper) {
+            this._iceCandidateListeners.delete(listener);
+        }
+    }
+
+    /**
+     * Calls an icecandidate handler with the candidate of the event translated to the Plan B mids. The
+     * candidates of the m-lines without a Plan B counterpart are not signaled and neither are those that cannot
+     * be translated in strict mode, since there is no promise to reject.
+     * @param {RTCPeerConnectionIceEvent} event - The event of the peerconnection.
+     * @param {Function} handler - The handler of the application.
+     * @returns {void}
+     * @private
+     */
+    _dispatchIceCandidate(event, handler) {
+        let candidate;
+
+        try {
+            candidate = this.interop.candidateToPlanB(event.candidate);
+        } catch (error) {
+            this._logger.warn(`The candidate cannot be signaled: ${error.message}`);
+
+            return;
+        }
+        if (event.candidate && !candidate) {
+            return;
+        }
+        handler.call(this, {
+            type: event.type,
+            target: this,
+            candidate,
+            url: event.url
+        });
+    }
+
+    /**
+     * Converts a Unified Plan description of the peerconnection to Plan B without updating the mid mappings,
+     * so that reading the descriptions has no side effects. The conversion is reused as long as the description
+     * does not change.
+     * @param {RTCSessionDescription|null} description - The description in Unified Plan format.
+     * @param {string} side - 'local' or 'remote'.
+     * @returns {RTCSessionDescription|null} - The description in Plan B format.
+     * @private
+     */
+    _toPlanB(description, side) {
+        if (!description) {
+            return null;
+        }
+        const cached = this._planBDescriptions[side];
+
+        if (cached && cached.type === description.type && cached.sdp === description.sdp) {
+            return cached.planB;
+        }
+        const planB = this.interop.toPlanB(description, { keepState: true });
+
+        this._planBDescriptions[side] = {
+            type: description.type,
+            sdp: description.sdp,
+            planB
+        };
+
+        return planB;
+    }
+
+    /**
+     * Creates an offer and converts it to Plan B.
+     * @param {RTCOfferOptions} options - The options passed to the peerconnection.
+     * @returns {Promise<RTCSessionDescription>} - The offer in Plan B format.
+     */
+    async createOffer(options) {
+        const offer = await this.peerconnection.createOffer(options);
+
+        return this.interop.toPlanB(offer);
+    }
+
+    /**
+     * Creates an answer and converts it to Plan B.
+     * @param {RTCAnswerOptions} options - The options passed to the peerconnection.
+     * @returns {Promise<RTCSessionDescription>} - The answer in Plan B format.
+     */
+    async createAnswer(options) {
+        const answer = await this.peerconnection.createAnswer(options);
+
+        return this.interop.toPlanB(answer);
+    }
+
+    /**
+     * Converts a local description to Unified Plan and sets it on the peerconnection. A local answer mirrors
+     * the remote offer. The sources are put back in the m-lines they were created in using the mid mappings
+     * learned when the description was converted to Plan B and the directions are those of the local side.
+     * Without a description, or without its sdp, the peerconnection creates the description itself, which is
+     * then converted to Plan B to learn the mid mappings like createOffer and createAnswer do.
+     * @param {RTCSessionDescription} [description] - The local description in Plan B format.
+     * @returns {Promise<void>}
+     */
+    async setLocalDescription(description) {
+        if (!description || !description.sdp) {
+            await this.peerconnection.setLocalDescription(description);
+            if (this.peerconnection.localDescription) {
+                this.interop.toPlanB(this.peerconnection.localDescription);
+            }
+
+            return;
+        }
+        const offer = description && description.type === 'answer' ? this.peerconnection.remoteDescription : null;
+
+        return this.peerconnection.setLocalDescription(this.interop.toUnifiedPlan(description, null, {
+            offer,
+            perspective: 'local'
+        }));
+    }
+
+    /**
+     * Converts a remote description to Unified Plan and sets it on the peerconnection. A remote offer is merged
+     * into the current remote description of the peerconnection to keep the existing m-lines in place and a
+     * remote answer mirrors the local offer.
+     * @param {RTCSessionDescription} description - The remote description in Plan B format.
+     * @returns {Promise<void>}
+     */
+    async setRemoteDescription(description) {
+        if (description && description.type === 'answer') {
+            return this.peerconnection.setRemoteDescription(this.interop.toUnifiedPlan(description, null, {
+                offer: this.peerconnection.localDescription
+            }));
+        }
+
+        return this.peerconnection.setRemoteDescription(
+            this.interop.toUnifiedPlan(description, this.peerconnection.remoteDescription));
+    }
+
+    /**
+     * Translates a remote ICE candidate to the Unified Plan mids and adds it to the peerconnection.
+     * @param {RTCIceCandidateInit} candidate - The candidate, with the Plan B sdpMid and sdpMLineIndex.
+     * @returns {Promise<void>}
+     */
+    async addIceCandidate(candidate) {
+        return this.peerconnection.addIceCandidate(this.interop.candidateToUnifiedPlan(candidate));
+    }
+
+    /**
+     * Closes the peerconnection and clears the mid mappings.
+     * @returns {void}
+     */
+    close() {
+        this.peerconnection.close();
+        this.interop.clearMappings();
+    }
+}
@@ -0,0 +1,136 @@
+/* Copyright @ 2015 - Present, 8x8 Inc
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import transform from './transform.js';
+
+export const SEMANTICS_PLAN_B = 'plan-b';
+export const SEMANTICS_UNIFIED_PLAN = 'unified-plan';
+export const SEMANTICS_AMBIGUOUS = 'ambiguous';
+
+export const PLAN_B_MIDS = [ 'audio', 'video', 'data' ];
+
+/**
+ * Creates a reason.
+ * @param {string} semantics - the semantics the reason points to.
+ * @param {boolean} strong - whether the reason is conclusive on its own, e.g. several sources in an m-line, or
+ * only a hint, e.g. the mids.
+ * @param {string} message - the description of the reason.
+ * @returns {Object} - the reason.
+ */
+function createReason(semantics, strong, message) {
+    return {
+        semantics,
+        strong,
+        message
+    };
+}
+
+/**
+ * Returns the msids of the sources of an m-line. The ssrcs of a single source, its simulcast layers and its rtx
+ * ssrcs, share the msid, or the legacy mslabel and label.
+ * @param {Object} mLine - the m-line.
+ * @returns {Set<string>} - the msids.
+ */
+function getSourceMsids(mLine) {
+    return new Set((mLine.sources || [])
+        .map(source => source.msid || (source.mslabel && source.label && `${source.mslabel} ${source.label}`))
+        .filter(msid => msid));
+}
+
+/**
+ * Looks at the m-lines of a parsed description for the signs of either plan.
+ * @param {Object} session - the parsed description.
+ * @param {Array<string>} planBMids - the mids of the Plan B m-lines.
+ * @returns {Array<Object>} - the reasons.
+ */
+function getReasons(session, planBMids) {
+    const reasons = [];
+    const media = session.media || [];
+    const mids = media.map(mLine => String(mLine.mid));
+
+    media.forEach((mLine, idx) => {
+        const msids = getSourceMsids(mLine);
+
+        if (mLine.port !== 0 && msids.size > 1) {
+            reasons.push(createReason(SEMANTICS_PLAN_B, true,
+                `The ${mLine.type} m-line ${idx} carries ${msids.size} sources.`));
+        }
+
+        // A Plan B description may signal the msid of its single source at the media level, so this is only a hint.
+        if (mLine.msid) {
+            reasons.push(createReason(SEMANTICS_UNIFIED_PLAN, false,
+                `The ${mLine.type} m-line ${idx} has a media-level msid.`));
+        }
+
+        // A Plan B description may have a separate m-line for screen sharing, so this is only a hint.
+        if (media.slice(0, idx).filter(m => m.type === mLine.type).length === 1) {
+            reasons.push(createReason(SEMANTICS_UNIFIED_PLAN, false,
+                `There are several ${mLine.type} m-lines.`));
+        }
+    });
+
+    if (mids.some(mid => planBMids.indexOf(mid) > -1)) {
+        reasons.push(createReason(SEMANTICS_PLAN_B, false,
+            `The mids ${mids.filter(mid => planBMids.indexOf(mid) > -1).join(', ')} are Plan B mids.`));
+    } else if (mids.length) {
+        reasons.push(createReason(SEMANTICS_UNIFIED_PLAN, false,
+            `None of the mids ${mids.join(', ')} is a Plan B mid.`));
+    }
+
+    return reasons;
+}
+
+/**
+ * Decides the semantics pointed to by a list of reasons.
+ * @param {Array<Object>} reasons - the reasons.
+ * @returns {string} - the semantics pointed to by all the reasons, {@link SEMANTICS_AMBIGUOUS} if they disagree or
+ * if there are none.
+ */
+function decide(reasons) {
+    const semantics = new Set(reasons.map(reason => reason.semantics));
+
+    return semantics.size === 1 ? reasons[0].semantics : SEMANTICS_AMBIGUOUS;
+}
+
+/**
+ * Detects whether a description uses the Plan B or the Unified Plan semantics. An m-line with several sources only
+ * exists in Plan B and that reason is conclusive. Otherwise the decision falls back on the hints: a media-level msid
+ * and several m-lines of a media type point to Unified Plan and the Plan B mids point to Plan B. The description is
+ * ambiguous when the hints disagree, e.g. a Plan B description with a separate m-line for screen sharing or with
+ * the msid of its sources at the media level.
+ * @param {RTCSessionDescription|string} description - the description or its sdp.
+ * @param {Object} options - the options.
+ * @param {Array<string>} options.planBMids - the mids of the Plan B m-lines, {@link PLAN_B_MIDS} by default.
+ * @returns {Object} - the semantics, {@link SEMANTICS_PLAN_B}, {@link SEMANTICS_UNIFIED_PLAN} or
+ * {@link SEMANTICS_AMBIGUOUS}, and the reasons, each one with the semantics it points to, whether it is conclusive
+ * and a message.
+ */
+export function detectSemantics(description, { planBMids = PLAN_B_MIDS } = {}) {
+    const sdp = typeof description === 'string' ? description : description && description.sdp;
+
+    if (typeof sdp !== 'string' || !sdp.length) {
+        return {
+            semantics: SEMANTICS_AMBIGUOUS,
+            reasons: []
+        };
+    }
+    const reasons = getReasons(transform.parse(sdp), planBMids);
+    const semantics = decide(reasons.filter(reason => reason.strong));
+
+    return {
+        semantics: semantics === SEMANTICS_AMBIGUOUS ? decide(reasons.filter(reason => !reason.strong)) : semantics,
+        reasons
+    };
+}
@@ -0,0 +1,315 @@
+/* Copyright @ 2015 - Present, 8x8 Inc
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import transform from './transform.js';
+
+export const findSimGroup = ssrcGroup => ssrcGroup.find(grp => grp.semantics === 'SIM');
+export const findFidGroup = ssrcGroup => ssrcGroup.find(grp => grp.semantics === 'FID');
+
+/**
+ * Create an inverted sourceGroup map to put all the grouped ssrcs
+ * in the same m-line.
+ * @param {Array<Object>} sourceGroups
+ * @returns {Object} - An inverted sourceGroup map.
+ */
+export function createSourceGroupMap(sourceGroups) {
+    const ssrc2group = {};
+
+    if (!sourceGroups || !Array.isArray(sourceGroups)) {
+        return ssrc2group;
+    }
+    sourceGroups.forEach(group => {
+        if (group.ssrcs && Array.isArray(group.ssrcs)) {
+            group.ssrcs.forEach(ssrc => {
+                if (typeof ssrc2group[ssrc] === 'undefined') {
+                    ssrc2group[ssrc] = [];
+                }
+                ssrc2group[ssrc].push(group);
+            });
+        }
+    });
+
+    return ssrc2group;
+}
+
+/**
+ * Returns the ssrcs of the source an ssrc belongs to, i.e., the ssrcs of its SIM group and of the related FID
+ * groups, or the ssrcs of its FID group if there is no SIM group.
+ * @param {string} ssrc - the ssrc.
+ * @param {Object} ssrc2group - inverted source-group map.
+ * @returns {Object} - the primary ssrc, the ssrcs of the simulcast layers and the rtx pairs, as strings.
+ */
+function getSourceSsrcs(ssrc, ssrc2group) {
+    const groups = ssrc2group[ssrc] || [];
+    const fidGroup = findFidGroup(groups);
+    const simGroup = findSimGroup(groups)
+        || (fidGroup && findSimGroup(ssrc2group[fidGroup.ssrcs.find(s => s !== ssrc)] || []));
+    const layers = simGroup ? simGroup.ssrcs : [ fidGroup ? fidGroup.ssrcs[0] : ssrc ];
+    const rtx = [];
+
+    layers.forEach(layer => {
+        const layerFidGroup = findFidGroup(ssrc2group[layer] || []);
+
+        if (layerFidGroup) {
+            rtx.push({
+                ssrc: layerFidGroup.ssrcs[0],
+                rtx: layerFidGroup.ssrcs[1]
+            });
+        }
+    });
+
+    return {
+        primary: layers[0],
+        simulcast: simGroup ? layers : [],
+        rtx
+    };
+}
+
+/**
+ * Returns the sources of a description, in either plan. Every source is described once, whatever the number of
+ * its simulcast layers and rtx ssrcs. The receive-only ssrcs, i.e., those without an msid, are not sources and the
+ * stale ssrcs of the rejected m-lines are left out.
+ * @param {RTCSessionDescription|string} description - the description or its sdp.
+ * @returns {Array<Object>} - the sources, each one with the mid, the media type and the direction of its m-line,
+ * its primary ssrc, all of its ssrcs, the ssrcs of its simulcast layers, its rtx pairs, its msid, its cname and
+ * its name.
+ */
+export function getSources(description) {
+    const session = transform.parse(typeof description === 'string' ? description : description.sdp);
+    const sources = [];
+
+    (session.media || []).forEach(mLine => {
+        if (!mLine.sources || (mLine.port === 0 && !mLine.bundleOnly)) {
+            return;
+        }
+        const ssrc2group = createSourceGroupMap(mLine.ssrcGroups);
+        const done = new Set();
+
+        mLine.sources.forEach(source => {
+            const ssrc = source.id.toString();
+
+            if (done.has(ssrc)) {
+                return;
+            }
+            const { primary, simulcast, rtx } = getSourceSsrcs(ssrc, ssrc2group);
+            const ssrcs = simulcast.length ? simulcast.slice() : [ primary ];
+
+            rtx.forEach(pair => {
+                if (ssrcs.indexOf(pair.rtx) === -1) {
+                    ssrcs.push(pair.rtx);
+                }
+            });
+            ssrcs.forEach(s => done.add(s));
+
+            const primarySource = mLine.sources.find(src => src.id.toString() === primary) || source;
+            const msid = mLine.msid || primarySource.msid;
+
+            if (!msid) {
+                return;
+            }
+            sources.push({
+                mid: mLine.mid.toString(),
+                type: mLine.type,
+                direction: mLine.direction || 'sendrecv',
+                ssrc: Number(primary),
+                ssrcs: ssrcs.map(Number),
+                simulcast: simulcast.map(Number),
+                rtx: rtx.map(pair => {
+                    return {
+                        ssrc: Number(pair.ssrc),
+                        rtx: Number(pair.rtx)
+                    };
+                }),
+                msid,
+                cname: primarySource.cname,
+                name: primarySource.name
+            });
+        });
+    });
+
+    return sources;
+}
+
+/**
+ * Finds the source of the track with the given msid, e.g. to know which mid carries it.
+ * @param {RTCSessionDescription|string} description - the description or its sdp.
+ * @param {string} msid - the msid of the track, i.e., the stream id and the track id, or only the track id.
+ * @returns {Object|undefined} - the source, see {@link getSources}.
+ */
+export function findSourceByMsid(description, msid) {
+    return getSources(description).find(source => source.msid === msid || source.msid.split(' ')[1] === msid);
+}
+
+/**
+ * Finds the source an ssrc belongs to, be it its primary ssrc, the ssrc of a simulcast layer or an rtx ssrc.
+ * @param {RTCSessionDescription|string} description - the description or its sdp.
+ * @param {number} ssrc - the ssrc.
+ * @returns {Object|undefined} - the source, see {@link getSources}.
+ */
+export function findSourceBySsrc(description, ssrc) {
+    return getSources(description).find(source => source.ssrcs.indexOf(Number(ssrc)) > -1);
+}
+
+/**
+ * Returns the sources of an endpoint. The sources are matched by their name, which is the endpoint id followed
+ * by a dash and the type and index of the source, e.g. 'abcd1234-v0', or, for the endpoints that do not signal
+ * the source names, by the stream id of their msid, which starts with the endpoint id followed by a dash.
+ * @param {RTCSessionDescription|string} description - the description or its sdp.
+ * @param {string} endpointId - the id of the endpoint.
+ * @returns {Array<Object>} - the sources, see {@link getSources}.
+ */
+export function getEndpointSources(description, endpointId) {
+    const prefix = `${endpointId}-`;
+
+    return getSources(description).filter(source => (source.name || source.msid).startsWith(prefix));
+}
+
+/**
+ * Checks whether two ssrc-groups have the same semantics and ssrcs.
+ * @param {Object} group - the first ssrc-group.
+ * @param {Object} other - the second ssrc-group.
+ * @returns {boolean}
+ */
+export function isSameGroup(group, other) {
+    return group.semantics === other.semantics && group.ssrcs.join(' ') === other.ssrcs.join(' ');
+}
+
+/**
+ * Checks whether two sources have the same attributes.
+ * @param {Object} source - the first source.
+ * @param {Object} other - the second source.
+ * @returns {boolean}
+ */
+function isSameSource(source, other) {
+    const attributes = Object.keys(source).filter(attribute => attribute !== 'id');
+
+    return attributes.length === Object.keys(other).length - 1
+        && attributes.every(attribute => source[attribute] === other[attribute]);
+}
+
+/**
+ * Returns the sources and the ssrc-groups of a description by media type, whatever the plan of the description.
+ * The media-level msid of a Unified Plan m-line is copied to its sources, the rejected m-lines and the receive-only
+ * ssrcs, i.e., those without an msid, along with the ssrc-groups they are alone in, are left out.
+ * @param {RTCSessionDescription|string} description - the description or its sdp.
+ * @returns {Object} - the sources and the ssrc-groups, in the format produced by transform.parse, by media type.
+ */
+function getMediaSources(description) {
+    const session = transform.parse(typeof description === 'string' ? description : description.sdp);
+    const media = {};
+
+    (session.media || []).forEach(mLine => {
+        if (mLine.type === 'application' || (mLine.port === 0 && !mLine.bundleOnly)) {
+            return;
+        }
+        const sources = (mLine.sources || [])
+            .filter(source => mLine.msid || source.msid)
+            .map(source => {
+                if (!mLine.msid) {
+                    return source;
+                }
+
+                return {
+                    ...source,
+                    msid: mLine.msid
+                };
+            });
+        const ssrcs = sources.map(source => source.id.toString());
+
+        media[mLine.type] = media[mLine.type] || {
+            sources: [],
+            ssrcGroups: []
+        };
+        media[mLine.type].sources.push(...sources);
+        media[mLine.type].ssrcGroups.push(...(mLine.ssrcGroups || [])
+            .filter(group => group.ssrcs.some(ssrc => ssrcs.indexOf(ssrc) > -1)));
+    });
+
+    return media;
+}
+
+/**
+ * Computes the source-add and the source-remove deltas between two descriptions, e.g. between the current remote
+ * Plan B description and the new one, or between the sources already in the current Unified Plan description and
+ * a Plan B description. The sources are compared by ssrc and a source whose attributes changed is modified. The
+ * ssrc-groups are compared by semantics and ssrcs and an ssrc-group whose ssrcs changed but that still has the
+ * same semantics and first ssrc, e.g. a SIM group whose layers changed, is modified. The modified sources and
+ * ssrc-groups are signaled by removing the previous ones and adding the current ones.
+ * @param {RTCSessionDescription|string} previous - the previous description or its sdp.
+ * @param {RTCSessionDescription|string} current - the current description or its sdp.
+ * @returns {Object} - the deltas by media type, for the media types that have sources in either description. Each
+ * delta has the added and the removed sources and ssrc-groups, in the format produced by transform.parse, and the
+ * modified ones as pairs of previous and current sources and ssrc-groups.
+ */
+export function diffSources(previous, current) {
+    const previousMedia = getMediaSources(previous);
+    const currentMedia = getMediaSources(current);
+    const delta = {};
+
+    new Set(Object.keys(previousMedia).concat(Object.keys(currentMedia))).forEach(type => {
+        const before = previousMedia[type] || {
+            sources: [],
+            ssrcGroups: []
+        };
+        const after = currentMedia[type] || {
+            sources: [],
+            ssrcGroups: []
+        };
+        const ssrc2group = createSourceGroupMap(after.ssrcGroups);
+        const modifiedGroups = [];
+
+        before.ssrcGroups.forEach(group => {
+            const currentGroup = (ssrc2group[group.ssrcs[0]] || [])
+                .find(grp => grp.semantics === group.semantics && grp.ssrcs[0] === group.ssrcs[0]);
+
+            if (currentGroup && !isSameGroup(group, currentGroup)
+                && !before.ssrcGroups.some(grp => isSameGroup(grp, currentGroup))) {
+                modifiedGroups.push({
+                    previous: group,
+                    current: currentGroup
+                });
+            }
+        });
+        const isModifiedGroup = (group, key) => modifiedGroups.some(pair => pair[key] === group);
+
+        delta[type] = {
+            added: {
+                sources: after.sources.filter(source => !before.sources.some(src => src.id === source.id)),
+                ssrcGroups: after.ssrcGroups.filter(group => !isModifiedGroup(group, 'current')
+                    && !before.ssrcGroups.some(grp => isSameGroup(grp, group)))
+            },
+            removed: {
+                sources: before.sources.filter(source => !after.sources.some(src => src.id === source.id)),
+                ssrcGroups: before.ssrcGroups.filter(group => !isModifiedGroup(group, 'previous')
+                    && !after.ssrcGroups.some(grp => isSameGroup(grp, group)))
+            },
+            modified: {
+                sources: before.sources.reduce((modified, source) => {
+                    const currentSource = after.sources.find(src => src.id === source.id);
+
+                    return currentSource && !isSameSource(source, currentSource)
+                        ? modified.concat({
+                            previous: source,
+                            current: currentSource
+                        })
+                        : modified;
+                }, []),
+                ssrcGroups: modifiedGroups
+            }
+        };
+    });
+
+    return delta;
+}
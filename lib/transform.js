@@ -42,6 +42,15 @@ const write = function(session, opts) {
                 delete mLine.sources;
             }
 
+            // sdp-transform writes a single a=msid line, the other streams of the track are written as is. They
+            // are only written if the first one is still the msid of the m-line.
+            if (mLine.msids && mLine.msids.length > 1 && mLine.msids[0] === mLine.msid) {
+                mLine.invalid = (mLine.invalid || []).concat(mLine.msids.slice(1).map(msid => {
+                    return { value: `msid:${msid}` };
+                }));
+            }
+            delete mLine.msids;
+
             // join ssrcs in ssrc groups
             if (mLine.ssrcGroups && mLine.ssrcGroups.length) {
                 mLine.ssrcGroups.forEach(ssrcGroup => {
@@ -68,7 +77,17 @@ const parse = function(sdp) {
     const session = transform.parse(sdp);
 
     if (typeof session !== 'undefined' && typeof session.media !== 'undefined' && Array.isArray(session.media)) {
-        session.media.forEach(mLine => {
+        const sections = sdp.split(/\r?\n(?=m=)/).slice(1);
+
+        session.media.forEach((mLine, idx) => {
+            // sdp-transform only keeps the last a=msid line, keep all of them when a track is in several streams.
+            const msids = (sections[idx] || '').match(/^a=msid:.*$/gm) || [];
+
+            if (msids.length > 1) {
+                mLine.msids = msids.map(line => line.substr('a=msid:'.length).trim());
+                mLine.msid = mLine.msids[0];
+            }
+
             // group sources attributes by ssrc
             if (typeof mLine.ssrcs !== 'undefined' && Array.isArray(mLine.ssrcs)) {
                 mLine.sources = [];
@@ -0,0 +1,241 @@
+/* Copyright @ 2015 - Present, 8x8 Inc
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { SEMANTICS_PLAN_B, SEMANTICS_UNIFIED_PLAN } from './semantics.js';
+import { createSourceGroupMap, findFidGroup } from './sources.js';
+import transform from './transform.js';
+
+export const SEVERITY_ERROR = 'error';
+export const SEVERITY_WARNING = 'warning';
+
+/**
+ * Creates a finding.
+ * @param {string} code - the type of the finding, e.g. 'duplicate-ssrc'.
+ * @param {string} severity - {@link SEVERITY_ERROR} or {@link SEVERITY_WARNING}.
+ * @param {string} message - the description of the finding.
+ * @param {Object} details - the location of the finding, see {@link getLocation}, and the other offending details,
+ * e.g. the ssrc.
+ * @returns {Object} - the finding.
+ */
+function createFinding(code, severity, message, details = {}) {
+    return {
+        code,
+        severity,
+        message,
+        ...details
+    };
+}
+
+/**
+ * Returns the location of a finding in an m-line.
+ * @param {Object} mLine - the offending m-line.
+ * @param {number} mLineIndex - the index of the offending m-line.
+ * @returns {Object} - the mid and the index of the m-line.
+ */
+function getLocation(mLine, mLineIndex) {
+    return {
+        mid: typeof mLine.mid === 'undefined' ? undefined : mLine.mid.toString(),
+        mLineIndex
+    };
+}
+
+/**
+ * Validates the mids of the m-lines and the BUNDLE group.
+ * @param {Object} session - the parsed description.
+ * @returns {Array<Object>} - the findings.
+ */
+function validateMids(session) {
+    const findings = [];
+    const mids = [];
+
+    session.media.forEach((mLine, idx) => {
+        if (typeof mLine.mid === 'undefined') {
+            findings.push(createFinding('missing-mid', SEVERITY_ERROR, `The m-line ${idx} has no mid.`,
+                getLocation(mLine, idx)));
+        } else if (mids.indexOf(mLine.mid.toString()) > -1) {
+            findings.push(createFinding('duplicate-mid', SEVERITY_ERROR,
+                `The mid ${mLine.mid} is used by several m-lines.`, getLocation(mLine, idx)));
+        } else {
+            mids.push(mLine.mid.toString());
+        }
+    });
+
+    (session.groups || []).filter(group => group.type === 'BUNDLE').forEach(group => {
+        group.mids.toString().split(' ')
+            .filter(mid => mid.length && mids.indexOf(mid) === -1)
+            .forEach(mid => {
+                findings.push(createFinding('unknown-bundle-mid', SEVERITY_ERROR,
+                    `The BUNDLE group references the mid ${mid}, which is not the mid of any m-line.`,
+                    { bundleMid: mid }));
+            });
+    });
+
+    return findings;
+}
+
+/**
+ * Validates the sources and the ssrc-groups of an m-line.
+ * @param {Object} mLine - the m-line.
+ * @param {number} idx - the index of the m-line.
+ * @returns {Array<Object>} - the findings.
+ */
+function validateSources(mLine, idx) {
+    const findings = [];
+    const sources = mLine.sources || [];
+    const ssrcs = sources.map(source => source.id.toString());
+    const ssrcGroups = mLine.ssrcGroups || [];
+    const ssrc2group = createSourceGroupMap(ssrcGroups);
+
+    ssrcGroups.forEach(group => {
+        group.ssrcs.filter(ssrc => ssrcs.indexOf(ssrc) === -1).forEach(ssrc => {
+            findings.push(createFinding('unknown-group-ssrc', SEVERITY_ERROR,
+                `The ${group.semantics} group references the ssrc ${ssrc}, which has no a=ssrc lines.`, {
+                    ...getLocation(mLine, idx),
+                    semantics: group.semantics,
+                    ssrc: Number(ssrc)
+                }));
+        });
+
+        if (group.semantics === 'SIM') {
+            if (group.ssrcs.length < 2) {
+                findings.push(createFinding('missing-sim-layers', SEVERITY_WARNING,
+                    `The SIM group ${group.ssrcs.join(' ')} has a single layer.`, {
+                        ...getLocation(mLine, idx),
+                        semantics: group.semantics,
+                        ssrc: Number(group.ssrcs[0])
+                    }));
+            }
+
+            // The layers have an rtx ssrc each, or none of them has one.
+            const withRtx = group.ssrcs.filter(ssrc => findFidGroup(ssrc2group[ssrc]));
+
+            if (withRtx.length && withRtx.length < group.ssrcs.length) {
+                group.ssrcs.filter(ssrc => withRtx.indexOf(ssrc) === -1).forEach(ssrc => {
+                    findings.push(createFinding('missing-sim-rtx', SEVERITY_WARNING,
+                        `The layer ${ssrc} of the SIM group ${group.ssrcs.join(' ')} has no FID group.`, {
+                            ...getLocation(mLine, idx),
+                            semantics: group.semantics,
+                            ssrc: Number(ssrc)
+                        }));
+                });
+            }
+        }
+    });
+
+    // The receive-only ssrcs have no msid, the ssrcs that are sent must have one, or the legacy mslabel and label.
+    if (!mLine.msid && mLine.port !== 0 && mLine.type !== 'application'
+        && (mLine.direction === 'sendrecv' || mLine.direction === 'sendonly' || !mLine.direction)) {
+        sources.filter(source => !source.msid && !(source.mslabel && source.label)).forEach(source => {
+            findings.push(createFinding('missing-msid', SEVERITY_WARNING, `The ssrc ${source.id} has no msid.`, {
+                ...getLocation(mLine, idx),
+                ssrc: source.id
+            }));
+        });
+    }
+
+    return findings;
+}
+
+/**
+ * Validates the layout of the m-lines against the plan of the description: a Plan B description has at most one
+ * m-line per media type, besides the m-lines of the additional envelopes, and a Unified Plan m-line carries at most
+ * one source.
+ * @param {Object} session - the parsed description.
+ * @param {string} plan - {@link SEMANTICS_PLAN_B} or {@link SEMANTICS_UNIFIED_PLAN}.
+ * @param {Array<string>} envelopeMids - the mids of the additional Plan B envelopes.
+ * @returns {Array<Object>} - the findings.
+ */
+function validatePlan(session, plan, envelopeMids) {
+    const findings = [];
+    const isEnvelope = mLine => envelopeMids.indexOf(String(mLine.mid)) > -1;
+
+    session.media.forEach((mLine, idx) => {
+        if (plan === SEMANTICS_PLAN_B) {
+            if (!isEnvelope(mLine) && session.media.findIndex(m => m.type === mLine.type && !isEnvelope(m)) !== idx) {
+                findings.push(createFinding('multiple-mlines', SEVERITY_ERROR,
+                    `The ${mLine.type} m-line ${idx} is not the only one of its media type.`, getLocation(mLine, idx)));
+            }
+
+            return;
+        }
+
+        // The ssrcs of a single source are grouped, several sources have several msids.
+        const msids = new Set((mLine.sources || []).map(source => source.msid).filter(msid => msid));
+
+        if (msids.size > 1) {
+            findings.push(createFinding('multiple-sources', SEVERITY_ERROR,
+                `The m-line ${idx} carries ${msids.size} sources.`, {
+                    ...getLocation(mLine, idx),
+                    msids: Array.from(msids)
+                }));
+        }
+    });
+
+    return findings;
+}
+
+/**
+ * Validates a description and reports the problems that prevent, or may prevent, its conversion: duplicate mids
+ * and ssrcs, BUNDLE groups that reference unknown mids, ssrc-groups that reference ssrcs without a=ssrc lines,
+ * SIM groups with missing layers or rtx ssrcs, sources without msid and m-lines that do not follow the plan.
+ * @param {RTCSessionDescription|string} description - the description or its sdp.
+ * @param {Object} options - the options.
+ * @param {string} options.plan - the expected plan of the description, {@link SEMANTICS_PLAN_B} or
+ * {@link SEMANTICS_UNIFIED_PLAN}, i.e., the semantics returned by detectSemantics. The layout of the m-lines is not
+ * validated when it is not set and any other plan is reported as an error.
+ * @param {Array<string>} options.envelopeMids - the mids of the additional Plan B envelopes, e.g. a separate m-line
+ * for screen sharing, which do not count as a second m-line of their media type.
+ * @returns {Array<Object>} - the findings, each one with a code, a severity, {@link SEVERITY_ERROR} or
+ * {@link SEVERITY_WARNING}, a message, the mid and the index of the offending m-line, if any, and the other
+ * offending details, e.g. the ssrc.
+ */
+export function validate(description, { plan, envelopeMids = [] } = {}) {
+    const sdp = typeof description === 'string' ? description : description && description.sdp;
+
+    if (typeof sdp !== 'string' || !sdp.length) {
+        return [ createFinding('empty-description', SEVERITY_ERROR, 'The description is empty.') ];
+    }
+    const session = transform.parse(sdp);
+
+    if (typeof session.version === 'undefined' || !session.origin) {
+        return [ createFinding('malformed-sdp', SEVERITY_ERROR, 'The description has no version or origin line.') ];
+    }
+    session.media = session.media || [];
+    const findings = validateMids(session);
+    const ssrcMlines = {};
+
+    session.media.forEach((mLine, idx) => {
+        (mLine.sources || []).forEach(source => {
+            if (typeof ssrcMlines[source.id] === 'undefined') {
+                ssrcMlines[source.id] = idx;
+            } else if (ssrcMlines[source.id] !== idx) {
+                findings.push(createFinding('duplicate-ssrc', SEVERITY_ERROR,
+                    `The ssrc ${source.id} is in the m-lines ${ssrcMlines[source.id]} and ${idx}.`, {
+                        ...getLocation(mLine, idx),
+                        ssrc: source.id
+                    }));
+            }
+        });
+        findings.push(...validateSources(mLine, idx));
+    });
+
+    if (plan === SEMANTICS_PLAN_B || plan === SEMANTICS_UNIFIED_PLAN) {
+        findings.push(...validatePlan(session, plan, envelopeMids.map(String)));
+    } else if (plan) {
+        findings.push(createFinding('unknown-plan', SEVERITY_ERROR, `The plan ${plan} is not known.`, { plan }));
+    }
+
+    return findings;
+}
@@ -1,4 +1,12 @@
+import { run as runCommand } from '../lib/cli.js';
+import { EmptyDescriptionError, IncompatibleMediaError, InvalidDescriptionError, MalformedSdpError, NoMediaError, NotPlanBError, NotUnifiedPlanError, UnknownMidError } from '../lib/errors.js';
 import { Interop } from '../lib/interop.js';
+import { addJingleSources, jingleToSources, removeJingleSources, sourcesToJingle } from '../lib/jingle.js';
+import { InteropPeerConnection } from '../lib/peerconnection.js';
+import { detectSemantics } from '../lib/semantics.js';
+import { diffSources, findSourceByMsid, findSourceBySsrc, getEndpointSources, getSources } from '../lib/sources.js';
+import transform from '../lib/transform.js';
+import { validate } from '../lib/validator.js';
 import fs from 'fs';
 import QUnit from 'qunit-cli';
 
@@ -1528,3 +1536,4861 @@ QUnit.test('2-way-jitsi', function (assert) {
     };
   };
 });
+
+QUnit.test('planBToUnifiedSourceRemove', function (assert) {
+  /*jshint multistr: true */
+  var newPlanB =
+    "v=0\r\n\
+o=- 6352417452822806569 3 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=group:BUNDLE audio video\r\n\
+a=msid-semantic: WMS *\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:audio\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+a=ssrc:1111 msid:stream1 audio1\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:video\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 msid:stream1 video1\r\n"
+
+  /*jshint multistr: true */
+  var currentUnifiedPlan =
+    "v=0\r\n\
+o=- 6352417452822806569 4 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=msid-semantic: WMS *\r\n\
+a=group:BUNDLE 0 1 2\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=setup:actpass\r\n\
+a=mid:0\r\n\
+a=msid:stream1 audio1\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+a=ssrc:1111 msid:stream1 audio1\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=setup:actpass\r\n\
+a=mid:1\r\n\
+a=msid:stream1 video1\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 msid:stream1 video1\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=setup:actpass\r\n\
+a=mid:2\r\n\
+a=msid:stream2 video2\r\n\
+a=sendonly\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:3333 cname:peer2\r\n\
+a=ssrc:3333 msid:stream2 video2\r\n\
+a=rtcp-mux\r\n"
+
+  /*jshint multistr: true */
+  var expectedUnifiedPlan =
+    "v=0\r\n\
+o=- 6352417452822806569 4 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=msid-semantic: WMS *\r\n\
+a=group:BUNDLE 0 1 2\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=setup:actpass\r\n\
+a=mid:0\r\n\
+a=msid:stream1 audio1\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+a=ssrc:1111 msid:stream1 audio1\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=setup:actpass\r\n\
+a=mid:1\r\n\
+a=msid:stream1 video1\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 msid:stream1 video1\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=setup:actpass\r\n\
+a=mid:2\r\n\
+a=inactive\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=rtcp-mux\r\n"
+
+  var interop = new Interop();
+
+  var newOffer = new RTCSessionDescription({
+    type: 'offer',
+    sdp: newPlanB
+  });
+
+  var currentSDP = new RTCSessionDescription({
+    type: 'offer',
+    sdp: currentUnifiedPlan
+  });
+
+  var unifiedPlanDesc = interop.toUnifiedPlan(newOffer, currentSDP);
+  assert.equal(unifiedPlanDesc.sdp, expectedUnifiedPlan,
+    "Not expected Unified Plan output")
+});
+
+QUnit.test('planBToUnifiedRecycleInactiveMlines', function (assert) {
+  /*jshint multistr: true */
+  var newPlanB =
+    "v=0\r\n\
+o=- 6352417452822806569 3 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=group:BUNDLE audio video\r\n\
+a=msid-semantic: WMS *\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:audio\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+a=ssrc:1111 msid:stream1 audio1\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:video\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 msid:stream1 video1\r\n\
+a=ssrc:4444 cname:peer3\r\n\
+a=ssrc:4444 msid:stream3 video3\r\n\
+a=ssrc:5555 cname:peer4\r\n\
+a=ssrc:5555 msid:stream4 video4\r\n"
+
+  /*jshint multistr: true */
+  var currentUnifiedPlan =
+    "v=0\r\n\
+o=- 6352417452822806569 4 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=msid-semantic: WMS *\r\n\
+a=group:BUNDLE 0 1 2\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=setup:actpass\r\n\
+a=mid:0\r\n\
+a=msid:stream1 audio1\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+a=ssrc:1111 msid:stream1 audio1\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=setup:actpass\r\n\
+a=mid:1\r\n\
+a=msid:stream1 video1\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 msid:stream1 video1\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=setup:actpass\r\n\
+a=mid:2\r\n\
+a=inactive\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=rtcp-mux\r\n"
+
+  /*jshint multistr: true */
+  var expectedUnifiedPlan =
+    "v=0\r\n\
+o=- 6352417452822806569 4 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=msid-semantic: WMS *\r\n\
+a=group:BUNDLE 0 1 2 3\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=setup:actpass\r\n\
+a=mid:0\r\n\
+a=msid:stream1 audio1\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+a=ssrc:1111 msid:stream1 audio1\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=setup:actpass\r\n\
+a=mid:1\r\n\
+a=msid:stream1 video1\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 msid:stream1 video1\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=setup:actpass\r\n\
+a=mid:2\r\n\
+a=msid:stream3 video3\r\n\
+a=sendonly\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:4444 cname:peer3\r\n\
+a=ssrc:4444 msid:stream3 video3\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=setup:actpass\r\n\
+a=mid:3\r\n\
+a=msid:stream4 video4\r\n\
+a=sendonly\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:5555 cname:peer4\r\n\
+a=ssrc:5555 msid:stream4 video4\r\n\
+a=rtcp-mux\r\n"
+
+  var interop = new Interop();
+
+  var newOffer = new RTCSessionDescription({
+    type: 'offer',
+    sdp: newPlanB
+  });
+
+  var currentSDP = new RTCSessionDescription({
+    type: 'offer',
+    sdp: currentUnifiedPlan
+  });
+
+  var unifiedPlanDesc = interop.toUnifiedPlan(newOffer, currentSDP);
+  assert.equal(unifiedPlanDesc.sdp, expectedUnifiedPlan,
+    "Not expected Unified Plan output")
+});
+
+QUnit.test('statefulUnifiedPlanAnswerRoundTrip', function (assert) {
+  /*jshint multistr: true */
+  var localUnifiedPlan =
+    "v=0\r\n\
+o=- 1923518516 2 IN IP4 0.0.0.0\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=group:BUNDLE 0 1 2 3\r\n\
+a=msid-semantic: WMS *\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=setup:active\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=rtcp-mux\r\n\
+a=mid:0\r\n\
+a=sendrecv\r\n\
+a=msid:local-stream local-audio\r\n\
+a=ssrc:1111 cname:local\r\n\
+a=ssrc:1111 msid:local-stream local-audio\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=setup:active\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=rtcp-mux\r\n\
+a=mid:1\r\n\
+a=recvonly\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100 96\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=rtpmap:96 rtx/90000\r\n\
+a=fmtp:96 apt=100\r\n\
+a=setup:active\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=rtcp-mux\r\n\
+a=mid:2\r\n\
+a=sendrecv\r\n\
+a=msid:local-stream local-video\r\n\
+a=ssrc-group:FID 2222 3333\r\n\
+a=ssrc:2222 cname:local\r\n\
+a=ssrc:2222 msid:local-stream local-video\r\n\
+a=ssrc:3333 cname:local\r\n\
+a=ssrc:3333 msid:local-stream local-video\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100 96\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=rtpmap:96 rtx/90000\r\n\
+a=fmtp:96 apt=100\r\n\
+a=setup:active\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=rtcp-mux\r\n\
+a=mid:3\r\n\
+a=recvonly\r\n"
+
+  /*jshint multistr: true */
+  var expectedUnifiedPlan =
+    "v=0\r\n\
+o=- 1923518516 3 IN IP4 0.0.0.0\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=msid-semantic: WMS *\r\n\
+a=group:BUNDLE 0 1 2 3\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=setup:active\r\n\
+a=mid:0\r\n\
+a=msid:local-stream local-audio\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:1111 cname:local\r\n\
+a=ssrc:1111 msid:local-stream local-audio\r\n\
+a=rtcp-mux\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=setup:active\r\n\
+a=mid:1\r\n\
+a=recvonly\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100 96\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=rtpmap:96 rtx/90000\r\n\
+a=fmtp:96 apt=100\r\n\
+a=setup:active\r\n\
+a=mid:2\r\n\
+a=msid:local-stream local-video\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:2222 cname:local\r\n\
+a=ssrc:2222 msid:local-stream local-video\r\n\
+a=ssrc:3333 cname:local\r\n\
+a=ssrc:3333 msid:local-stream local-video\r\n\
+a=ssrc-group:FID 2222 3333\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100 96\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=rtpmap:96 rtx/90000\r\n\
+a=fmtp:96 apt=100\r\n\
+a=setup:active\r\n\
+a=mid:3\r\n\
+a=recvonly\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=rtcp-mux\r\n"
+
+  var interop = new Interop({ stateful: true });
+
+  var answer = new RTCSessionDescription({
+    type: 'answer',
+    sdp: localUnifiedPlan
+  });
+
+  var planBDesc = interop.toPlanB(answer);
+  assert.deepEqual(interop.getMappings(), [
+    { mid: '0', type: 'audio', sources: [ { ssrc: 1111, msid: 'local-stream local-audio' } ] },
+    { mid: '1', type: 'audio', sources: [] },
+    { mid: '2', type: 'video', sources: [ { ssrc: 2222, msid: 'local-stream local-video' } ] },
+    { mid: '3', type: 'video', sources: [] }
+  ], "Not expected mid mappings");
+
+  // No current description is passed, the m-lines are recreated from the mappings.
+  var unifiedPlanDesc = interop.toUnifiedPlan(planBDesc);
+  assert.equal(unifiedPlanDesc.sdp, expectedUnifiedPlan,
+    "Not expected Unified Plan output")
+});
+
+QUnit.test('planBToUnifiedWithoutGlobals', function (assert) {
+  /*jshint multistr: true */
+  var originPlanB =
+    "v=0\r\n\
+o=- 6352417452822806569 3 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=group:BUNDLE audio video\r\n\
+a=msid-semantic: WMS *\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:audio\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+a=ssrc:1111 msid:stream1 audio1\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:video\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 msid:stream1 video1\r\n"
+
+  /*jshint multistr: true */
+  var expectedUnifiedPlan =
+    "v=0\r\n\
+o=- 6352417452822806569 4 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=msid-semantic: WMS *\r\n\
+a=group:BUNDLE 0 1\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=setup:actpass\r\n\
+a=mid:0\r\n\
+a=msid:stream1 audio1\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+a=ssrc:1111 msid:stream1 audio1\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=setup:actpass\r\n\
+a=mid:1\r\n\
+a=msid:stream1 video1\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 msid:stream1 video1\r\n\
+a=rtcp-mux\r\n"
+
+  var globalDescription = global.RTCSessionDescription;
+
+  delete global.RTCSessionDescription;
+  try {
+    var interop = new Interop();
+
+    assert.equal(interop.toUnifiedPlanSdp(originPlanB), expectedUnifiedPlan,
+      "Not expected Unified Plan output");
+
+    var unifiedPlanDesc = interop.toUnifiedPlan({ type: 'offer', sdp: originPlanB });
+    assert.deepEqual(unifiedPlanDesc, { type: 'offer', sdp: expectedUnifiedPlan },
+      "Not expected plain object description");
+
+    var factoryInterop = new Interop({
+      createDescription: function (init) {
+        return { type: init.type, sdp: init.sdp, created: true };
+      }
+    });
+    assert.ok(factoryInterop.toUnifiedPlan({ type: 'offer', sdp: originPlanB }).created,
+      "The description factory was not used");
+  } finally {
+    global.RTCSessionDescription = globalDescription;
+  }
+});
+
+QUnit.test('strictModeErrors', function (assert) {
+  /*jshint multistr: true */
+  var unifiedPlan =
+    "v=0\r\n\
+o=- 6352417452822806569 4 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=msid-semantic: WMS *\r\n\
+a=group:BUNDLE 0 1\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=setup:actpass\r\n\
+a=mid:0\r\n\
+a=msid:stream1 audio1\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+a=ssrc:1111 msid:stream1 audio1\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=setup:actpass\r\n\
+a=mid:1\r\n\
+a=msid:stream1 video1\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 msid:stream1 video1\r\n\
+a=rtcp-mux\r\n"
+
+  var warnings = [];
+  var logger = {
+    warn: function (msg) {
+      warnings.push(msg);
+    }
+  };
+
+  var interop = new Interop({ logger: logger });
+  var description = { type: 'offer', sdp: unifiedPlan };
+
+  assert.strictEqual(interop.toUnifiedPlan(description), description,
+    "The description was not returned unchanged");
+  assert.deepEqual(warnings, [ 'The description does not look like plan-b' ],
+    "The injected logger was not used");
+
+  var strictInterop = new Interop({ strict: true, logger: logger });
+
+  assert.throws(function () {
+    strictInterop.toUnifiedPlan(description);
+  }, function (error) {
+    return error instanceof NotPlanBError && error.details.mids.join(' ') === '0 1';
+  }, "NotPlanBError was not thrown");
+
+  var planB = strictInterop.toPlanB(description);
+  assert.throws(function () {
+    strictInterop.toPlanB(planB);
+  }, NotUnifiedPlanError, "NotUnifiedPlanError was not thrown");
+
+  assert.throws(function () {
+    strictInterop.toPlanB(null);
+  }, EmptyDescriptionError, "EmptyDescriptionError was not thrown");
+
+  assert.throws(function () {
+    strictInterop.toUnifiedPlan({ type: 'offer', sdp: 'v=0\r\no=- 1 2 IN IP4 127.0.0.1\r\ns=-\r\nt=0 0\r\n' });
+  }, NoMediaError, "NoMediaError was not thrown");
+
+  assert.throws(function () {
+    strictInterop.toUnifiedPlan({ type: 'offer', sdp: 'not an sdp' });
+  }, function (error) {
+    return error instanceof MalformedSdpError && error.details.sdp === 'not an sdp';
+  }, "MalformedSdpError was not thrown");
+  assert.equal(warnings.length, 1, "Errors were logged in strict mode");
+});
+
+QUnit.test('interopPeerConnection', function (assert) {
+  /*jshint multistr: true */
+  var remotePlanB =
+    "v=0\r\n\
+o=- 6352417452822806569 3 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=group:BUNDLE audio video\r\n\
+a=msid-semantic: WMS *\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:audio\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+a=ssrc:1111 msid:stream1 audio1\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:video\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 msid:stream1 video1\r\n"
+
+  /*jshint multistr: true */
+  var nativeAnswer =
+    "v=0\r\n\
+o=- 1923518516 2 IN IP4 0.0.0.0\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=group:BUNDLE 0 1\r\n\
+a=msid-semantic: WMS *\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=setup:active\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=rtcp-mux\r\n\
+a=mid:0\r\n\
+a=sendrecv\r\n\
+a=msid:local-stream local-audio\r\n\
+a=ssrc:5001 cname:local\r\n\
+a=ssrc:5001 msid:local-stream local-audio\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100 96\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=rtpmap:96 rtx/90000\r\n\
+a=fmtp:96 apt=100\r\n\
+a=setup:active\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=rtcp-mux\r\n\
+a=mid:1\r\n\
+a=sendrecv\r\n\
+a=msid:local-stream local-video\r\n\
+a=ssrc-group:FID 5002 5003\r\n\
+a=ssrc:5002 cname:local\r\n\
+a=ssrc:5002 msid:local-stream local-video\r\n\
+a=ssrc:5003 cname:local\r\n\
+a=ssrc:5003 msid:local-stream local-video\r\n"
+
+  // An in-memory peerconnection that records the descriptions it is given.
+  var fakePeerConnection = {
+    localDescription: null,
+    remoteDescription: null,
+    createAnswer: function () {
+      return Promise.resolve(new RTCSessionDescription({ type: 'answer', sdp: nativeAnswer }));
+    },
+    setLocalDescription: function (description) {
+      this.localDescription = description;
+      return Promise.resolve();
+    },
+    setRemoteDescription: function (description) {
+      this.remoteDescription = description;
+      return Promise.resolve();
+    }
+  };
+
+  var mids = function (sdp) {
+    return sdp.match(/a=mid:\S+/g).join(' ');
+  };
+
+  var pc = new InteropPeerConnection(fakePeerConnection);
+  var done = assert.async();
+
+  pc.setRemoteDescription(new RTCSessionDescription({ type: 'offer', sdp: remotePlanB }))
+    .then(function () {
+      assert.equal(mids(fakePeerConnection.remoteDescription.sdp), 'a=mid:0 a=mid:1',
+        "The remote description was not converted to Unified Plan");
+      assert.equal(mids(pc.remoteDescription.sdp), 'a=mid:audio a=mid:video',
+        "The remote description was not exposed in Plan B format");
+
+      return pc.createAnswer();
+    })
+    .then(function (answer) {
+      assert.equal(mids(answer.sdp), 'a=mid:audio a=mid:video',
+        "The answer was not converted to Plan B");
+
+      return pc.setLocalDescription(answer);
+    })
+    .then(function () {
+      var localSdp = fakePeerConnection.localDescription.sdp;
+
+      assert.equal(mids(localSdp), 'a=mid:0 a=mid:1',
+        "The local description was not converted back to Unified Plan");
+      assert.ok(/a=mid:0[\s\S]*a=ssrc:5001 [\s\S]*a=mid:1[\s\S]*a=ssrc-group:FID 5002 5003/.test(localSdp),
+        "The local sources were not put back in their m-lines");
+      assert.equal(mids(pc.localDescription.sdp), 'a=mid:audio a=mid:video',
+        "The local description was not exposed in Plan B format");
+    })
+    .then(done, function (error) {
+      assert.ok(false, error);
+      done();
+    });
+});
+
+QUnit.test('planBAnswerToUnifiedMirrorsOffer', function (assert) {
+  // The Unified Plan offer the Plan B answer responds to. The offerer only
+  // receives on mid 2, only sends on mid 3 and offers a data channel.
+  var offer =
+    "v=0\r\n\
+o=- 1923518516 2 IN IP4 0.0.0.0\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=group:BUNDLE 0 1 2 3 4\r\n\
+a=msid-semantic: WMS *\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=setup:actpass\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=rtcp-mux\r\n\
+a=mid:0\r\n\
+a=sendrecv\r\n\
+a=msid:offer-stream offer-audio\r\n\
+a=ssrc:1111 cname:offer\r\n\
+a=ssrc:1111 msid:offer-stream offer-audio\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100 96\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=rtpmap:96 rtx/90000\r\n\
+a=fmtp:96 apt=100\r\n\
+a=setup:actpass\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=rtcp-mux\r\n\
+a=mid:1\r\n\
+a=sendrecv\r\n\
+a=msid:offer-stream offer-video\r\n\
+a=ssrc:2222 cname:offer\r\n\
+a=ssrc:2222 msid:offer-stream offer-video\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100 96\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=rtpmap:96 rtx/90000\r\n\
+a=fmtp:96 apt=100\r\n\
+a=setup:actpass\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=rtcp-mux\r\n\
+a=mid:2\r\n\
+a=recvonly\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=setup:actpass\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=rtcp-mux\r\n\
+a=mid:3\r\n\
+a=sendonly\r\n\
+a=msid:offer-stream2 offer-audio2\r\n\
+a=ssrc:3333 cname:offer\r\n\
+a=ssrc:3333 msid:offer-stream2 offer-audio2\r\n\
+m=application 9 UDP/DTLS/SCTP webrtc-datachannel\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=setup:actpass\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=mid:4\r\n\
+a=sctp-port:5000\r\n"
+
+  var answer =
+    "v=0\r\n\
+o=- 2099470214 2 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=group:BUNDLE audio video\r\n\
+a=msid-semantic: WMS answer-stream\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=setup:active\r\n\
+a=ice-ufrag:AbCdEfGhIjKlMnOp\r\n\
+a=ice-pwd:qRsTuVwXyZaBcDeFgHiJkLmN\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=rtcp-mux\r\n\
+a=mid:audio\r\n\
+a=sendrecv\r\n\
+a=ssrc:7001 cname:answer\r\n\
+a=ssrc:7001 msid:answer-stream answer-audio\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100 96\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=rtpmap:96 rtx/90000\r\n\
+a=fmtp:96 apt=100\r\n\
+a=setup:active\r\n\
+a=ice-ufrag:AbCdEfGhIjKlMnOp\r\n\
+a=ice-pwd:qRsTuVwXyZaBcDeFgHiJkLmN\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=rtcp-mux\r\n\
+a=mid:video\r\n\
+a=sendrecv\r\n\
+a=ssrc:7002 cname:answer\r\n\
+a=ssrc:7002 msid:answer-stream answer-video\r\n\
+a=ssrc:7003 cname:answer\r\n\
+a=ssrc:7003 msid:answer-screen answer-screen\r\n"
+
+  // The answer has the m-lines of the offer in the same order. The second
+  // video source goes in the m-line the offerer only receives on and the data
+  // channel the answerer does not support is rejected.
+  var expectedUnifiedPlan =
+    "v=0\r\n\
+o=- 2099470214 3 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=msid-semantic: WMS *\r\n\
+a=group:BUNDLE 0 1 2 3\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=setup:active\r\n\
+a=mid:0\r\n\
+a=msid:answer-stream answer-audio\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:AbCdEfGhIjKlMnOp\r\n\
+a=ice-pwd:qRsTuVwXyZaBcDeFgHiJkLmN\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:7001 cname:answer\r\n\
+a=ssrc:7001 msid:answer-stream answer-audio\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100 96\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=rtpmap:96 rtx/90000\r\n\
+a=fmtp:96 apt=100\r\n\
+a=setup:active\r\n\
+a=mid:1\r\n\
+a=msid:answer-stream answer-video\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:AbCdEfGhIjKlMnOp\r\n\
+a=ice-pwd:qRsTuVwXyZaBcDeFgHiJkLmN\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:7002 cname:answer\r\n\
+a=ssrc:7002 msid:answer-stream answer-video\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100 96\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=rtpmap:96 rtx/90000\r\n\
+a=fmtp:96 apt=100\r\n\
+a=setup:active\r\n\
+a=mid:2\r\n\
+a=msid:answer-screen answer-screen\r\n\
+a=sendonly\r\n\
+a=ice-ufrag:AbCdEfGhIjKlMnOp\r\n\
+a=ice-pwd:qRsTuVwXyZaBcDeFgHiJkLmN\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:7003 cname:answer\r\n\
+a=ssrc:7003 msid:answer-screen answer-screen\r\n\
+a=rtcp-mux\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=setup:active\r\n\
+a=mid:3\r\n\
+a=recvonly\r\n\
+a=ice-ufrag:AbCdEfGhIjKlMnOp\r\n\
+a=ice-pwd:qRsTuVwXyZaBcDeFgHiJkLmN\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=rtcp-mux\r\n\
+m=application 0 UDP/DTLS/SCTP webrtc-datachannel\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=mid:4\r\n\
+a=inactive\r\n\
+a=sctp-port:5000\r\n"
+
+  var interop = new Interop();
+  var answerDesc = new RTCSessionDescription({ type: 'answer', sdp: answer });
+  var offerDesc = new RTCSessionDescription({ type: 'offer', sdp: offer });
+  var unifiedPlanDesc = interop.toUnifiedPlan(answerDesc, null, { offer: offerDesc });
+
+  assert.equal(unifiedPlanDesc.sdp, expectedUnifiedPlan,
+    "Not expected Unified Plan output");
+
+  // The rejected data m-line does not carry the transport of the offerer.
+  var dataMline = transform.parse(unifiedPlanDesc.sdp).media[4];
+
+  assert.ok([ 'iceUfrag', 'icePwd', 'fingerprint', 'setup', 'candidates' ].every(attr => !(attr in dataMline)),
+    "The rejected m-line has transport attributes");
+
+  // An answer passed with a current description does not mirror it.
+  assert.notEqual(new Interop().toUnifiedPlan(answerDesc, offerDesc).sdp, expectedUnifiedPlan,
+    "The current description was used as the offer");
+
+  // An offer without m-lines cannot be answered.
+  var emptyOffer = { type: 'offer', sdp: offer.split('m=audio')[0] };
+
+  assert.throws(function () {
+    new Interop({ strict: true }).toUnifiedPlan(answerDesc, null, { offer: emptyOffer });
+  }, function (error) {
+    return error instanceof NoMediaError && error.details.sdp === emptyOffer.sdp;
+  }, "NoMediaError was not thrown");
+});
+
+QUnit.test('planBLocalOfferToUnified', function (assert) {
+  // The current local description: the local video track of mid 2 is removed
+  // and mid 1 only receives the video of the remote side.
+  var currentLocal =
+    "v=0\r\n\
+o=- 6352417452822806569 4 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=msid-semantic: WMS *\r\n\
+a=group:BUNDLE 0 1 2\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=setup:actpass\r\n\
+a=mid:0\r\n\
+a=msid:stream1 audio1\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+a=ssrc:1111 msid:stream1 audio1\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=setup:actpass\r\n\
+a=mid:1\r\n\
+a=recvonly\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=setup:actpass\r\n\
+a=mid:2\r\n\
+a=msid:stream2 video2\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:3333 cname:peer2\r\n\
+a=ssrc:3333 msid:stream2 video2\r\n\
+a=rtcp-mux\r\n"
+
+  var localPlanB =
+    "v=0\r\n\
+o=- 6352417452822806569 3 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=group:BUNDLE audio video\r\n\
+a=msid-semantic: WMS *\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:audio\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+a=ssrc:1111 msid:stream1 audio1\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:video\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=ssrc:4444 cname:peer1\r\n\
+a=ssrc:4444 msid:stream1 video4\r\n"
+
+  // The new local video track is sent on mid 1, which keeps receiving, and
+  // mid 2 keeps receiving after its track was removed.
+  var expectedUnifiedPlan =
+    "v=0\r\n\
+o=- 6352417452822806569 4 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=msid-semantic: WMS *\r\n\
+a=group:BUNDLE 0 1 2\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=setup:actpass\r\n\
+a=mid:0\r\n\
+a=msid:stream1 audio1\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+a=ssrc:1111 msid:stream1 audio1\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=setup:actpass\r\n\
+a=mid:1\r\n\
+a=msid:stream1 video4\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:4444 cname:peer1\r\n\
+a=ssrc:4444 msid:stream1 video4\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=setup:actpass\r\n\
+a=mid:2\r\n\
+a=recvonly\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=rtcp-mux\r\n"
+
+  var interop = new Interop();
+  var planBDesc = new RTCSessionDescription({ type: 'offer', sdp: localPlanB });
+  var currentDesc = new RTCSessionDescription({ type: 'offer', sdp: currentLocal });
+  var unifiedPlanDesc = interop.toUnifiedPlan(planBDesc, currentDesc, { perspective: 'local' });
+
+  assert.equal(unifiedPlanDesc.sdp, expectedUnifiedPlan,
+    "Not expected Unified Plan output");
+});
+
+QUnit.test('translateDataChannels', function (assert) {
+  // A Plan B offer with a data channel m-line in the legacy a=sctpmap format.
+  var planB =
+    "v=0\r\n\
+o=- 6352417452822806569 3 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=group:BUNDLE audio video data\r\n\
+a=msid-semantic: WMS *\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:audio\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+a=ssrc:1111 msid:stream1 audio1\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:video\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 msid:stream1 video1\r\n\
+m=application 9 DTLS/SCTP 5000\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=setup:actpass\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=mid:data\r\n\
+a=sctpmap:5000 webrtc-datachannel 1024\r\n"
+
+  var expectedUnifiedPlan =
+    "v=0\r\n\
+o=- 6352417452822806569 4 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=msid-semantic: WMS *\r\n\
+a=group:BUNDLE 0 1 2\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=setup:actpass\r\n\
+a=mid:0\r\n\
+a=msid:stream1 audio1\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+a=ssrc:1111 msid:stream1 audio1\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=setup:actpass\r\n\
+a=mid:1\r\n\
+a=msid:stream1 video1\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 msid:stream1 video1\r\n\
+a=rtcp-mux\r\n\
+m=application 9 UDP/DTLS/SCTP webrtc-datachannel\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=setup:actpass\r\n\
+a=mid:2\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=sctp-port:5000\r\n"
+
+  // A Unified Plan offer with a data channel m-line in the a=sctp-port format.
+  var unifiedPlan =
+    "v=0\r\n\
+o=- 6352417452822806569 4 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=msid-semantic: WMS *\r\n\
+a=group:BUNDLE 0 1 2\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=setup:actpass\r\n\
+a=mid:0\r\n\
+a=msid:stream1 audio1\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+a=ssrc:1111 msid:stream1 audio1\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=setup:actpass\r\n\
+a=mid:1\r\n\
+a=msid:stream1 video1\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 msid:stream1 video1\r\n\
+a=rtcp-mux\r\n\
+m=application 9 UDP/DTLS/SCTP webrtc-datachannel\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=setup:actpass\r\n\
+a=mid:2\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=sctp-port:5000\r\n\
+a=max-message-size:262144\r\n"
+
+  var expectedPlanB =
+    "v=0\r\n\
+o=- 6352417452822806569 4 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=msid-semantic: WMS *\r\n\
+a=group:BUNDLE audio video data\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=setup:actpass\r\n\
+a=mid:audio\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+a=ssrc:1111 msid:stream1 audio1\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=setup:actpass\r\n\
+a=mid:video\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 msid:stream1 video1\r\n\
+a=rtcp-mux\r\n\
+m=application 9 DTLS/SCTP 5000\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=setup:actpass\r\n\
+a=mid:data\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=sctpmap:5000 webrtc-datachannel 1024\r\n"
+
+  var interop = new Interop({ translateDataChannels: true });
+  var unifiedPlanDesc = interop.toUnifiedPlan(new RTCSessionDescription({ type: 'offer', sdp: planB }));
+
+  assert.equal(unifiedPlanDesc.sdp, expectedUnifiedPlan,
+    "Not expected Unified Plan output");
+
+  var planBDesc = interop.toPlanB(new RTCSessionDescription({ type: 'offer', sdp: unifiedPlan }));
+
+  assert.equal(planBDesc.sdp, expectedPlanB,
+    "Not expected Plan B output");
+});
+
+QUnit.test('planBToUnifiedDataChannelRenegotiation', function (assert) {
+  // The current remote description has no data channel yet.
+  var currentUnifiedPlan =
+    "v=0\r\n\
+o=- 6352417452822806569 4 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=msid-semantic: WMS *\r\n\
+a=group:BUNDLE 0 1 2\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=setup:actpass\r\n\
+a=mid:0\r\n\
+a=msid:stream1 audio1\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+a=ssrc:1111 msid:stream1 audio1\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=setup:actpass\r\n\
+a=mid:1\r\n\
+a=msid:stream1 video1\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 msid:stream1 video1\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=setup:actpass\r\n\
+a=mid:2\r\n\
+a=msid:stream2 video2\r\n\
+a=sendonly\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:3333 cname:peer2\r\n\
+a=ssrc:3333 msid:stream2 video2\r\n\
+a=rtcp-mux\r\n"
+
+  var planBWithData =
+    "v=0\r\n\
+o=- 6352417452822806569 3 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=group:BUNDLE audio video data\r\n\
+a=msid-semantic: WMS *\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:audio\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+a=ssrc:1111 msid:stream1 audio1\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:video\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 msid:stream1 video1\r\n\
+m=application 9 DTLS/SCTP 5000\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=setup:actpass\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=mid:data\r\n\
+a=sctpmap:5000 webrtc-datachannel 1024\r\n"
+
+  var planBWithoutData =
+    "v=0\r\n\
+o=- 6352417452822806569 3 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=group:BUNDLE audio video\r\n\
+a=msid-semantic: WMS *\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:audio\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+a=ssrc:1111 msid:stream1 audio1\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:video\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 msid:stream1 video1\r\n"
+
+  // The data channel added during the call gets a new m-line in the BUNDLE group.
+  var expectedWithData =
+    "v=0\r\n\
+o=- 6352417452822806569 4 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=msid-semantic: WMS *\r\n\
+a=group:BUNDLE 0 1 2 3\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=setup:actpass\r\n\
+a=mid:0\r\n\
+a=msid:stream1 audio1\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+a=ssrc:1111 msid:stream1 audio1\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=setup:actpass\r\n\
+a=mid:1\r\n\
+a=msid:stream1 video1\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 msid:stream1 video1\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=setup:actpass\r\n\
+a=mid:2\r\n\
+a=inactive\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=rtcp-mux\r\n\
+m=application 9 DTLS/SCTP 5000\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=setup:actpass\r\n\
+a=mid:3\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=sctpmap:5000 webrtc-datachannel 1024\r\n"
+
+  // The data m-line is rejected, and removed from the BUNDLE group, when the
+  // data channel is gone.
+  var expectedWithoutData =
+    "v=0\r\n\
+o=- 6352417452822806569 4 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=msid-semantic: WMS *\r\n\
+a=group:BUNDLE 0 1 2\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=setup:actpass\r\n\
+a=mid:0\r\n\
+a=msid:stream1 audio1\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+a=ssrc:1111 msid:stream1 audio1\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=setup:actpass\r\n\
+a=mid:1\r\n\
+a=msid:stream1 video1\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 msid:stream1 video1\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=setup:actpass\r\n\
+a=mid:2\r\n\
+a=inactive\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=rtcp-mux\r\n\
+m=application 0 DTLS/SCTP 5000\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=setup:actpass\r\n\
+a=mid:3\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=sctpmap:5000 webrtc-datachannel 1024\r\n"
+
+  var interop = new Interop();
+  var unifiedPlanDesc = interop.toUnifiedPlan(
+    new RTCSessionDescription({ type: 'offer', sdp: planBWithData }),
+    new RTCSessionDescription({ type: 'offer', sdp: currentUnifiedPlan }));
+
+  assert.equal(unifiedPlanDesc.sdp, expectedWithData,
+    "The data m-line was not added");
+
+  // Converting the same offer again updates the data m-line in place.
+  unifiedPlanDesc = interop.toUnifiedPlan(
+    new RTCSessionDescription({ type: 'offer', sdp: planBWithData }), unifiedPlanDesc);
+
+  assert.equal(unifiedPlanDesc.sdp, expectedWithData,
+    "The data m-line was not updated in place");
+
+  unifiedPlanDesc = interop.toUnifiedPlan(
+    new RTCSessionDescription({ type: 'offer', sdp: planBWithoutData }), unifiedPlanDesc);
+
+  assert.equal(unifiedPlanDesc.sdp, expectedWithoutData,
+    "The data m-line was not rejected");
+});
+
+QUnit.test('planBToUnifiedPartialBundle', function (assert) {
+  // The current remote description, where the data m-line is bundled.
+  var currentUnifiedPlan =
+    "v=0\r\n\
+o=- 6352417452822806569 4 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=msid-semantic: WMS *\r\n\
+a=group:BUNDLE 0 1 2 3\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=setup:actpass\r\n\
+a=mid:0\r\n\
+a=msid:stream1 audio1\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+a=ssrc:1111 msid:stream1 audio1\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=setup:actpass\r\n\
+a=mid:1\r\n\
+a=msid:stream1 video1\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 msid:stream1 video1\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=setup:actpass\r\n\
+a=mid:2\r\n\
+a=inactive\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=rtcp-mux\r\n\
+m=application 9 DTLS/SCTP 5000\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=setup:actpass\r\n\
+a=mid:3\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=sctpmap:5000 webrtc-datachannel 1024\r\n"
+
+  // Only the audio and the video are bundled, the data channel has its own
+  // transport.
+  var planB =
+    "v=0\r\n\
+o=- 6352417452822806569 3 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=group:BUNDLE audio video\r\n\
+a=msid-semantic: WMS *\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:audio\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+a=ssrc:1111 msid:stream1 audio1\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:video\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 msid:stream1 video1\r\n\
+m=application 9 DTLS/SCTP 5000\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=setup:actpass\r\n\
+a=ice-ufrag:Vj9DgM0a8uFq2LsT\r\n\
+a=ice-pwd:m3WcYq1ZpTn8RkXe5HbA7uJd\r\n\
+a=fingerprint:sha-256 0C:2F:9A:11:7E:54:D3:B8:46:E2:95:1A:6C:03:F7:88:2D:B4:5E:91:C6:37:0A:FD:82:49:13:6E:A5:DC:70:1B\r\n\
+a=mid:data\r\n\
+a=sctpmap:5000 webrtc-datachannel 1024\r\n"
+
+  var expectedUnifiedPlan =
+    "v=0\r\n\
+o=- 6352417452822806569 4 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=msid-semantic: WMS *\r\n\
+a=group:BUNDLE 0 1 2\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=setup:actpass\r\n\
+a=mid:0\r\n\
+a=msid:stream1 audio1\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+a=ssrc:1111 msid:stream1 audio1\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=setup:actpass\r\n\
+a=mid:1\r\n\
+a=msid:stream1 video1\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 msid:stream1 video1\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=setup:actpass\r\n\
+a=mid:2\r\n\
+a=inactive\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=rtcp-mux\r\n\
+m=application 9 DTLS/SCTP 5000\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=setup:actpass\r\n\
+a=mid:3\r\n\
+a=ice-ufrag:Vj9DgM0a8uFq2LsT\r\n\
+a=ice-pwd:m3WcYq1ZpTn8RkXe5HbA7uJd\r\n\
+a=fingerprint:sha-256 0C:2F:9A:11:7E:54:D3:B8:46:E2:95:1A:6C:03:F7:88:2D:B4:5E:91:C6:37:0A:FD:82:49:13:6E:A5:DC:70:1B\r\n\
+a=sctpmap:5000 webrtc-datachannel 1024\r\n"
+
+  var interop = new Interop();
+  var unifiedPlanDesc = interop.toUnifiedPlan(
+    new RTCSessionDescription({ type: 'offer', sdp: planB }),
+    new RTCSessionDescription({ type: 'offer', sdp: currentUnifiedPlan }));
+
+  assert.equal(unifiedPlanDesc.sdp, expectedUnifiedPlan,
+    "Not expected Unified Plan output");
+});
+
+QUnit.test('planBToUnifiedNoBundleIceRestart', function (assert) {
+  var currentUnifiedPlan =
+    "v=0\r\n\
+o=- 6352417452822806569 4 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=msid-semantic: WMS *\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=setup:actpass\r\n\
+a=mid:0\r\n\
+a=msid:stream1 audio1\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+a=ssrc:1111 msid:stream1 audio1\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=setup:actpass\r\n\
+a=mid:1\r\n\
+a=msid:stream1 video1\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 msid:stream1 video1\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=setup:actpass\r\n\
+a=mid:2\r\n\
+a=msid:stream2 video2\r\n\
+a=sendonly\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:3333 cname:peer2\r\n\
+a=ssrc:3333 msid:stream2 video2\r\n\
+a=rtcp-mux\r\n"
+
+  // Nothing is bundled and only the ICE of the video transport is restarted.
+  var planB =
+    "v=0\r\n\
+o=- 6352417452822806569 3 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=msid-semantic: WMS *\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:audio\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+a=ssrc:1111 msid:stream1 audio1\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:Vj9DgM0a8uFq2LsT\r\n\
+a=ice-pwd:m3WcYq1ZpTn8RkXe5HbA7uJd\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:video\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 msid:stream1 video1\r\n"
+
+  // The audio m-line keeps its credentials and the video m-lines get the new
+  // ones.
+  var expectedUnifiedPlan =
+    "v=0\r\n\
+o=- 6352417452822806569 4 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=msid-semantic: WMS *\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=setup:actpass\r\n\
+a=mid:0\r\n\
+a=msid:stream1 audio1\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+a=ssrc:1111 msid:stream1 audio1\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=setup:actpass\r\n\
+a=mid:1\r\n\
+a=msid:stream1 video1\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:Vj9DgM0a8uFq2LsT\r\n\
+a=ice-pwd:m3WcYq1ZpTn8RkXe5HbA7uJd\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 msid:stream1 video1\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=setup:actpass\r\n\
+a=mid:2\r\n\
+a=inactive\r\n\
+a=ice-ufrag:Vj9DgM0a8uFq2LsT\r\n\
+a=ice-pwd:m3WcYq1ZpTn8RkXe5HbA7uJd\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=rtcp-mux\r\n"
+
+  var interop = new Interop();
+  var unifiedPlanDesc = interop.toUnifiedPlan(
+    new RTCSessionDescription({ type: 'offer', sdp: planB }),
+    new RTCSessionDescription({ type: 'offer', sdp: currentUnifiedPlan }));
+
+  assert.equal(unifiedPlanDesc.sdp, expectedUnifiedPlan,
+    "Not expected Unified Plan output");
+});
+
+QUnit.test('iceCandidateTranslation', function (assert) {
+  var planB =
+    "v=0\r\n\
+o=- 6352417452822806569 3 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=group:BUNDLE audio video\r\n\
+a=msid-semantic: WMS *\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:audio\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+a=ssrc:1111 msid:stream1 audio1\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:video\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 msid:stream1 video1\r\n\
+a=ssrc:4444 cname:peer3\r\n\
+a=ssrc:4444 msid:stream3 video3\r\n\
+a=ssrc:5555 cname:peer4\r\n\
+a=ssrc:5555 msid:stream4 video4\r\n"
+
+  var candidate = 'candidate:1 1 udp 2122260223 10.0.0.1 54400 typ host generation 0';
+  var warnings = [];
+  var interop = new Interop({ logger: { warn: function (message) { warnings.push(message); } } });
+  var planBCandidate = { candidate: candidate, sdpMid: 'video', sdpMLineIndex: 1 };
+
+  assert.strictEqual(interop.candidateToUnifiedPlan(planBCandidate), planBCandidate,
+    "The candidate was translated before any conversion");
+  assert.equal(warnings.length, 1, "The unknown mid was not reported");
+
+  // The Unified Plan description has the mids 0 (audio) and 1, 2, 3 (video).
+  interop.toUnifiedPlan(new RTCSessionDescription({ type: 'offer', sdp: planB }));
+
+  assert.deepEqual(interop.candidateToUnifiedPlan({ candidate: candidate, sdpMid: 'video', sdpMLineIndex: 1 }),
+    { candidate: candidate, sdpMid: '1', sdpMLineIndex: 1, usernameFragment: undefined },
+    "The Plan B candidate was not translated");
+  assert.deepEqual(interop.candidateToUnifiedPlan({ candidate: candidate, sdpMLineIndex: 0 }),
+    { candidate: candidate, sdpMid: '0', sdpMLineIndex: 0, usernameFragment: undefined },
+    "The Plan B candidate without a mid was not translated");
+  assert.deepEqual(interop.candidateToPlanB({ candidate: candidate, sdpMid: '1', sdpMLineIndex: 1 }),
+    { candidate: candidate, sdpMid: 'video', sdpMLineIndex: 1, usernameFragment: undefined },
+    "The Unified Plan candidate was not translated");
+  assert.strictEqual(interop.candidateToPlanB({ candidate: candidate, sdpMid: '3', sdpMLineIndex: 3 }), null,
+    "The candidate of an m-line without a Plan B counterpart was translated");
+
+  // End-of-candidates indications.
+  assert.deepEqual(interop.candidateToPlanB({ candidate: '', sdpMid: '0', sdpMLineIndex: 0, usernameFragment: 'abcd' }),
+    { candidate: '', sdpMid: 'audio', sdpMLineIndex: 0, usernameFragment: 'abcd' },
+    "The end-of-candidates of an m-line was not translated");
+  assert.strictEqual(interop.candidateToPlanB(null), null,
+    "The end-of-candidates of all the m-lines was changed");
+
+  var strictInterop = new Interop({ strict: true });
+
+  assert.throws(function () {
+    strictInterop.candidateToPlanB({ candidate: candidate, sdpMid: '0', sdpMLineIndex: 0 });
+  }, UnknownMidError, "UnknownMidError was not thrown");
+});
+
+QUnit.test('planBToUnifiedCandidatesAndConnectionData', function (assert) {
+  // The current remote description has no candidates and a bundle-only m-line.
+  var currentUnifiedPlan =
+    "v=0\r\n\
+o=- 6352417452822806569 4 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=msid-semantic: WMS *\r\n\
+a=group:BUNDLE 0 1 2\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=setup:actpass\r\n\
+a=mid:0\r\n\
+a=msid:stream1 audio1\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+a=ssrc:1111 msid:stream1 audio1\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=setup:actpass\r\n\
+a=mid:1\r\n\
+a=msid:stream1 video1\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 msid:stream1 video1\r\n\
+a=rtcp-mux\r\n\
+m=video 0 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=setup:actpass\r\n\
+a=mid:2\r\n\
+a=bundle-only\r\n\
+a=msid:stream2 video2\r\n\
+a=sendonly\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:3333 cname:peer2\r\n\
+a=ssrc:3333 msid:stream2 video2\r\n\
+a=rtcp-mux\r\n"
+
+  // A non-trickle Plan B offer with the candidates and the connection data of
+  // each m-line.
+  var planB =
+    "v=0\r\n\
+o=- 6352417452822806569 3 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=group:BUNDLE audio video\r\n\
+a=msid-semantic: WMS *\r\n\
+m=audio 50000 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 203.0.113.9\r\n\
+a=rtcp:50000 IN IP4 203.0.113.9\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:audio\r\n\
+a=candidate:1 1 udp 2122260223 198.51.100.7 50000 typ host generation 0\r\n\
+a=candidate:2 1 udp 1686052607 203.0.113.9 50000 typ srflx raddr 198.51.100.7 rport 50000 generation 0\r\n\
+a=end-of-candidates\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+a=ssrc:1111 msid:stream1 audio1\r\n\
+m=video 50002 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 203.0.113.9\r\n\
+a=rtcp:50002 IN IP4 203.0.113.9\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:video\r\n\
+a=candidate:1 1 udp 2122260223 198.51.100.7 50002 typ host generation 0\r\n\
+a=end-of-candidates\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 msid:stream1 video1\r\n\
+a=ssrc:4444 cname:peer3\r\n\
+a=ssrc:4444 msid:stream3 video3\r\n\
+a=ssrc:5555 cname:peer4\r\n\
+a=ssrc:5555 msid:stream4 video4\r\n"
+
+  // Every m-line, existing or new, gets the candidates and the connection data
+  // of the Plan B m-line of its media type and none of them is bundle-only.
+  var expectedUnifiedPlan =
+    "v=0\r\n\
+o=- 6352417452822806569 4 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=msid-semantic: WMS *\r\n\
+a=group:BUNDLE 0 1 2 3 4\r\n\
+m=audio 50000 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 203.0.113.9\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=rtcp:50000 IN IP4 203.0.113.9\r\n\
+a=setup:actpass\r\n\
+a=mid:0\r\n\
+a=msid:stream1 audio1\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=candidate:1 1 udp 2122260223 198.51.100.7 50000 typ host generation 0\r\n\
+a=candidate:2 1 udp 1686052607 203.0.113.9 50000 typ srflx raddr 198.51.100.7 rport 50000 generation 0\r\n\
+a=end-of-candidates\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+a=ssrc:1111 msid:stream1 audio1\r\n\
+a=rtcp-mux\r\n\
+m=video 50002 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 203.0.113.9\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=rtcp:50002 IN IP4 203.0.113.9\r\n\
+a=setup:actpass\r\n\
+a=mid:1\r\n\
+a=msid:stream1 video1\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=candidate:1 1 udp 2122260223 198.51.100.7 50002 typ host generation 0\r\n\
+a=end-of-candidates\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 msid:stream1 video1\r\n\
+a=rtcp-mux\r\n\
+m=video 50002 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 203.0.113.9\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=rtcp:50002 IN IP4 203.0.113.9\r\n\
+a=setup:actpass\r\n\
+a=mid:2\r\n\
+a=inactive\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=candidate:1 1 udp 2122260223 198.51.100.7 50002 typ host generation 0\r\n\
+a=end-of-candidates\r\n\
+a=rtcp-mux\r\n\
+m=video 50002 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 203.0.113.9\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=rtcp:50002 IN IP4 203.0.113.9\r\n\
+a=setup:actpass\r\n\
+a=mid:3\r\n\
+a=msid:stream3 video3\r\n\
+a=sendonly\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=candidate:1 1 udp 2122260223 198.51.100.7 50002 typ host generation 0\r\n\
+a=end-of-candidates\r\n\
+a=ssrc:4444 cname:peer3\r\n\
+a=ssrc:4444 msid:stream3 video3\r\n\
+a=rtcp-mux\r\n\
+m=video 50002 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 203.0.113.9\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=rtcp:50002 IN IP4 203.0.113.9\r\n\
+a=setup:actpass\r\n\
+a=mid:4\r\n\
+a=msid:stream4 video4\r\n\
+a=sendonly\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=candidate:1 1 udp 2122260223 198.51.100.7 50002 typ host generation 0\r\n\
+a=end-of-candidates\r\n\
+a=ssrc:5555 cname:peer4\r\n\
+a=ssrc:5555 msid:stream4 video4\r\n\
+a=rtcp-mux\r\n"
+
+  var interop = new Interop();
+  var unifiedPlanDesc = interop.toUnifiedPlan(
+    new RTCSessionDescription({ type: 'offer', sdp: planB }),
+    new RTCSessionDescription({ type: 'offer', sdp: currentUnifiedPlan }));
+
+  assert.equal(unifiedPlanDesc.sdp, expectedUnifiedPlan,
+    "Not expected Unified Plan output");
+});
+
+QUnit.test('ridSimulcastConversion', function (assert) {
+  // A local Unified Plan offer with RID based simulcast and no video ssrcs.
+  var unifiedPlan =
+    "v=0\r\n\
+o=- 1923518516 2 IN IP4 0.0.0.0\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=group:BUNDLE 0 1\r\n\
+a=msid-semantic: WMS *\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=setup:actpass\r\n\
+a=mid:0\r\n\
+a=msid:local-stream local-audio\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:1111 cname:local\r\n\
+a=ssrc:1111 msid:local-stream local-audio\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100 96\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=rtpmap:96 rtx/90000\r\n\
+a=fmtp:96 apt=100\r\n\
+a=extmap:4 urn:ietf:params:rtp-hdrext:sdes:rtp-stream-id\r\n\
+a=setup:actpass\r\n\
+a=mid:1\r\n\
+a=msid:local-stream local-video\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=rid:h send\r\n\
+a=rid:m send\r\n\
+a=rid:l send\r\n\
+a=simulcast:send h;m;l\r\n\
+a=rtcp-mux\r\n"
+
+  var interop = new Interop();
+  var unifiedPlanDesc = new RTCSessionDescription({ type: 'offer', sdp: unifiedPlan });
+  var planBDesc = interop.toPlanB(unifiedPlanDesc);
+  var simGroup = planBDesc.sdp.match(/a=ssrc-group:SIM (\d+) (\d+) (\d+)\r\n/);
+
+  assert.ok(simGroup, "The rids were not converted to a SIM group");
+  assert.equal(planBDesc.sdp.match(/a=ssrc-group:FID /g).length, 3,
+    "The rtx ssrcs were not generated");
+  assert.equal(planBDesc.sdp.match(/a=ssrc:\d+ msid:local-stream local-video\r\n/g).length, 6,
+    "The generated ssrcs do not have the msid of the track");
+  assert.equal(planBDesc.sdp.match(/a=ssrc:\d+ cname:local\r\n/g).length, 7,
+    "The generated ssrcs do not have the cname of the audio ssrc");
+  assert.ok(!/a=rid|a=simulcast/.test(planBDesc.sdp),
+    "The a=rid and a=simulcast lines were not removed");
+
+  // The Plan B description converted back has the a=rid and a=simulcast lines
+  // and the generated ssrcs, for the browser to send the layers on them.
+  var newUnifiedPlanDesc = interop.toUnifiedPlan(planBDesc, unifiedPlanDesc, { perspective: 'local' });
+
+  var videoMline = newUnifiedPlanDesc.sdp.split('m=video')[1];
+
+  assert.equal(newUnifiedPlanDesc.sdp.match(/a=mid:\S+/g).join(' '), 'a=mid:0 a=mid:1',
+    "The m-lines were not kept");
+  assert.ok(/a=rid:h send\r\na=rid:m send\r\na=rid:l send\r\na=simulcast:send h;m;l\r\n/.test(videoMline),
+    "The RID based simulcast was not restored");
+  assert.ok(!/a=ssrc-group:SIM/.test(videoMline), "The SIM group was not removed");
+  assert.equal(videoMline.match(/a=ssrc-group:FID /g).length, 3, "The generated FID groups were not kept");
+  simGroup.slice(1).forEach(function (ssrc) {
+    assert.ok(videoMline.indexOf('a=ssrc:' + ssrc + ' cname:local\r\n') > -1,
+      "The generated ssrc " + ssrc + " was not kept");
+  });
+
+  // The generated ssrcs are reused by the subsequent conversions.
+  assert.equal(interop.toPlanB(newUnifiedPlanDesc).sdp.match(/a=ssrc-group:SIM .*\r\n/)[0], simGroup[0],
+    "The generated ssrcs were not reused");
+});
+
+QUnit.test('mediaLevelMsid', function (assert) {
+  // A Unified Plan answer that only signals the media-level msid, with the
+  // video track in two streams.
+  var unifiedPlan =
+    "v=0\r\n\
+o=- 1923518516 2 IN IP4 0.0.0.0\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=group:BUNDLE 0 1\r\n\
+a=msid-semantic: WMS *\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=setup:actpass\r\n\
+a=mid:0\r\n\
+a=msid:stream1 audio1\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:1111 cname:local\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100 96\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=rtpmap:96 rtx/90000\r\n\
+a=fmtp:96 apt=100\r\n\
+a=setup:actpass\r\n\
+a=mid:1\r\n\
+a=msid:stream1 video1\r\n\
+a=msid:stream2 video1\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc-group:FID 2222 3333\r\n\
+a=ssrc:2222 cname:local\r\n\
+a=ssrc:3333 cname:local\r\n\
+a=rtcp-mux\r\n"
+
+  // The ssrcs get the msid of their m-line.
+  var expectedPlanB =
+    "v=0\r\n\
+o=- 1923518516 2 IN IP4 0.0.0.0\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=msid-semantic: WMS *\r\n\
+a=group:BUNDLE audio video\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=setup:actpass\r\n\
+a=mid:audio\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:1111 cname:local\r\n\
+a=ssrc:1111 msid:stream1 audio1\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100 96\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=rtpmap:96 rtx/90000\r\n\
+a=fmtp:96 apt=100\r\n\
+a=setup:actpass\r\n\
+a=mid:video\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:2222 cname:local\r\n\
+a=ssrc:2222 msid:stream1 video1\r\n\
+a=ssrc:3333 cname:local\r\n\
+a=ssrc:3333 msid:stream1 video1\r\n\
+a=ssrc-group:FID 2222 3333\r\n\
+a=rtcp-mux\r\n"
+
+  // Both a=msid lines of the video m-line are restored.
+  var expectedUnifiedPlan =
+    "v=0\r\n\
+o=- 1923518516 3 IN IP4 0.0.0.0\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=msid-semantic: WMS *\r\n\
+a=group:BUNDLE 0 1\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=setup:actpass\r\n\
+a=mid:0\r\n\
+a=msid:stream1 audio1\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:1111 cname:local\r\n\
+a=ssrc:1111 msid:stream1 audio1\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100 96\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=rtpmap:96 rtx/90000\r\n\
+a=fmtp:96 apt=100\r\n\
+a=setup:actpass\r\n\
+a=mid:1\r\n\
+a=msid:stream1 video1\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:2222 cname:local\r\n\
+a=ssrc:2222 msid:stream1 video1\r\n\
+a=ssrc:3333 cname:local\r\n\
+a=ssrc:3333 msid:stream1 video1\r\n\
+a=ssrc-group:FID 2222 3333\r\n\
+a=rtcp-mux\r\n\
+a=msid:stream2 video1\r\n"
+
+  var interop = new Interop({ stateful: true });
+  var planBDesc = interop.toPlanB(new RTCSessionDescription({ type: 'answer', sdp: unifiedPlan }));
+
+  assert.equal(planBDesc.sdp, expectedPlanB,
+    "Not expected Plan B output");
+
+  var unifiedPlanDesc = interop.toUnifiedPlan(planBDesc);
+
+  assert.equal(unifiedPlanDesc.sdp, expectedUnifiedPlan,
+    "Not expected Unified Plan output");
+});
+
+QUnit.test('planBLegacySourceLabels', function (assert) {
+  // The audio ssrc only has the legacy mslabel and label attributes.
+  var planB =
+    "v=0\r\n\
+o=- 6352417452822806569 3 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=group:BUNDLE audio video\r\n\
+a=msid-semantic: WMS *\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:audio\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+a=ssrc:1111 mslabel:stream1\r\n\
+a=ssrc:1111 label:audio1\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:video\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 msid:stream1 video1\r\n"
+
+  var expectedUnifiedPlan =
+    "v=0\r\n\
+o=- 6352417452822806569 4 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=msid-semantic: WMS *\r\n\
+a=group:BUNDLE 0 1\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=setup:actpass\r\n\
+a=mid:0\r\n\
+a=msid:stream1 audio1\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+a=ssrc:1111 mslabel:stream1\r\n\
+a=ssrc:1111 label:audio1\r\n\
+a=ssrc:1111 msid:stream1 audio1\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=setup:actpass\r\n\
+a=mid:1\r\n\
+a=msid:stream1 video1\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 msid:stream1 video1\r\n\
+a=rtcp-mux\r\n"
+
+  var interop = new Interop();
+  var unifiedPlanDesc = interop.toUnifiedPlan(new RTCSessionDescription({ type: 'offer', sdp: planB }));
+
+  assert.equal(unifiedPlanDesc.sdp, expectedUnifiedPlan,
+    "Not expected Unified Plan output");
+});
+
+QUnit.test('sourceInventory', function (assert) {
+  var planB = "" +
+    "v=0\r\n\
+o=- 6352417452822806569 3 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=group:BUNDLE audio video\r\n\
+a=msid-semantic: WMS *\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:audio\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+a=ssrc:1111 msid:endpointA-audio-0 audio1\r\n\
+a=ssrc:1111 name:endpointA-a0\r\n\
+a=ssrc:6666 cname:peer2\r\n\
+a=ssrc:6666 msid:endpointB-audio-0 audio2\r\n\
+a=ssrc:6666 name:endpointB-a0\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100 96\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:video\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=rtpmap:96 rtx/90000\r\n\
+a=fmtp:96 apt=100\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 msid:endpointA-video-0 video1\r\n\
+a=ssrc:2222 name:endpointA-v0\r\n\
+a=ssrc:2223 cname:peer1\r\n\
+a=ssrc:2223 msid:endpointA-video-0 video1\r\n\
+a=ssrc:2223 name:endpointA-v0\r\n\
+a=ssrc:3333 cname:peer1\r\n\
+a=ssrc:3333 msid:endpointA-video-0 video1\r\n\
+a=ssrc:3333 name:endpointA-v0\r\n\
+a=ssrc:3334 cname:peer1\r\n\
+a=ssrc:3334 msid:endpointA-video-0 video1\r\n\
+a=ssrc:3334 name:endpointA-v0\r\n\
+a=ssrc:4444 cname:peer1\r\n\
+a=ssrc:4444 msid:endpointA-video-0 video1\r\n\
+a=ssrc:4444 name:endpointA-v0\r\n\
+a=ssrc:4445 cname:peer1\r\n\
+a=ssrc:4445 msid:endpointA-video-0 video1\r\n\
+a=ssrc:4445 name:endpointA-v0\r\n\
+a=ssrc-group:FID 2222 2223\r\n\
+a=ssrc-group:FID 3333 3334\r\n\
+a=ssrc-group:FID 4444 4445\r\n\
+a=ssrc-group:SIM 2222 3333 4444\r\n"
+
+  var sources = getSources({ type: 'offer', sdp: planB });
+
+  assert.equal(sources.length, 3, "Not expected number of sources");
+  assert.deepEqual(sources[2], {
+    mid: 'video',
+    type: 'video',
+    direction: 'sendrecv',
+    ssrc: 2222,
+    ssrcs: [ 2222, 3333, 4444, 2223, 3334, 4445 ],
+    simulcast: [ 2222, 3333, 4444 ],
+    rtx: [ { ssrc: 2222, rtx: 2223 }, { ssrc: 3333, rtx: 3334 }, { ssrc: 4444, rtx: 4445 } ],
+    msid: 'endpointA-video-0 video1',
+    cname: 'peer1',
+    name: 'endpointA-v0'
+  }, "Not expected simulcast source");
+
+  assert.equal(findSourceByMsid(planB, 'audio2').ssrc, 6666, "Not expected source for the track id");
+  assert.equal(findSourceBySsrc(planB, 3334).ssrc, 2222, "Not expected primary ssrc for the rtx ssrc");
+  assert.equal(findSourceBySsrc(planB, 5555), undefined, "Not expected source for an unknown ssrc");
+  assert.deepEqual(getEndpointSources(planB, 'endpointA').map(source => source.name),
+    [ 'endpointA-a0', 'endpointA-v0' ], "Not expected endpoint sources");
+
+  var interop = new Interop();
+  var unifiedPlanDesc = interop.toUnifiedPlan(new RTCSessionDescription({ type: 'offer', sdp: planB }));
+
+  assert.equal(findSourceByMsid(unifiedPlanDesc, 'endpointB-audio-0 audio2').mid, '1',
+    "Not expected mid for the msid");
+  assert.equal(findSourceBySsrc(unifiedPlanDesc, 4444).mid, '2', "Not expected mid for the simulcast layer");
+});
+
+QUnit.test('unifiedPlanToPlanBMergesCodecsAndExtensions', function (assert) {
+  var unifiedPlan = "" +
+    "v=0\r\n\
+o=- 6352417452822806569 4 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=msid-semantic: WMS *\r\n\
+a=group:BUNDLE 0 1 2\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100 96\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=rtcp-fb:100 nack\r\n\
+a=rtpmap:96 rtx/90000\r\n\
+a=fmtp:96 apt=100\r\n\
+a=extmap:3 http://www.webrtc.org/experiments/rtp-hdrext/abs-send-time\r\n\
+a=setup:actpass\r\n\
+a=mid:0\r\n\
+a=msid:stream1 video1\r\n\
+a=sendonly\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 msid:stream1 video1\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100 96 102\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=rtcp-fb:100 nack\r\n\
+a=rtcp-fb:100 nack pli\r\n\
+a=rtpmap:96 rtx/90000\r\n\
+a=fmtp:96 apt=100\r\n\
+a=rtpmap:102 H264/90000\r\n\
+a=fmtp:102 level-asymmetry-allowed=1;packetization-mode=1;profile-level-id=42e01f\r\n\
+a=extmap:3 http://www.webrtc.org/experiments/rtp-hdrext/abs-send-time\r\n\
+a=extmap:5 http://www.ietf.org/id/draft-holmer-rmcat-transport-wide-cc-extensions-01\r\n\
+a=setup:actpass\r\n\
+a=mid:1\r\n\
+a=msid:stream1 video2\r\n\
+a=sendonly\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:3333 cname:peer1\r\n\
+a=ssrc:3333 msid:stream1 video2\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100 96\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=rtcp-fb:100 nack\r\n\
+a=rtpmap:96 rtx/90000\r\n\
+a=fmtp:96 apt=100\r\n\
+a=extmap:3 http://www.webrtc.org/experiments/rtp-hdrext/abs-send-time\r\n\
+a=setup:actpass\r\n\
+a=mid:2\r\n\
+a=msid:stream1 video3\r\n\
+a=sendonly\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:4444 cname:peer1\r\n\
+a=ssrc:4444 msid:stream1 video3\r\n\
+a=rtcp-mux\r\n"
+
+  var expectedPlanB = "" +
+    "v=0\r\n\
+o=- 6352417452822806569 4 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=msid-semantic: WMS *\r\n\
+a=group:BUNDLE video\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100 96 102\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=rtpmap:96 rtx/90000\r\n\
+a=rtpmap:102 H264/90000\r\n\
+a=fmtp:96 apt=100\r\n\
+a=fmtp:102 level-asymmetry-allowed=1;packetization-mode=1;profile-level-id=42e01f\r\n\
+a=rtcp-fb:100 nack\r\n\
+a=rtcp-fb:100 nack pli\r\n\
+a=extmap:3 http://www.webrtc.org/experiments/rtp-hdrext/abs-send-time\r\n\
+a=extmap:5 http://www.ietf.org/id/draft-holmer-rmcat-transport-wide-cc-extensions-01\r\n\
+a=setup:actpass\r\n\
+a=mid:video\r\n\
+a=sendonly\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 msid:stream1 video1\r\n\
+a=ssrc:3333 cname:peer1\r\n\
+a=ssrc:3333 msid:stream1 video2\r\n\
+a=ssrc:4444 cname:peer1\r\n\
+a=ssrc:4444 msid:stream1 video3\r\n\
+a=rtcp-mux\r\n"
+
+  var interop = new Interop();
+  var planBDesc = interop.toPlanB(new RTCSessionDescription({ type: 'offer', sdp: unifiedPlan }));
+
+  assert.equal(planBDesc.sdp, expectedPlanB,
+    "The codecs and the extensions of all the m-lines were not offered");
+
+  var intersection = new Interop({ mergePolicy: 'intersection' });
+  var planBSdp = intersection.toPlanB(new RTCSessionDescription({ type: 'offer', sdp: unifiedPlan })).sdp;
+
+  assert.ok(planBSdp.indexOf('m=video 9 UDP/TLS/RTP/SAVPF 100 96\r\n') > -1, "Not expected payload types");
+  assert.ok(planBSdp.indexOf('H264') === -1, "A codec that is not negotiated by every m-line was offered");
+  assert.ok(planBSdp.indexOf('a=rtcp-fb:100 nack pli') === -1,
+    "An rtcp-fb line that is not negotiated by every m-line was offered");
+  assert.ok(planBSdp.indexOf('transport-wide-cc') === -1,
+    "An extension that is not negotiated by every m-line was offered");
+
+  var conflicting = "" +
+    "v=0\r\n\
+o=- 6352417452822806569 4 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=msid-semantic: WMS *\r\n\
+a=group:BUNDLE 0 1\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100 96\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=rtcp-fb:100 nack\r\n\
+a=rtpmap:96 rtx/90000\r\n\
+a=fmtp:96 apt=100\r\n\
+a=extmap:3 http://www.webrtc.org/experiments/rtp-hdrext/abs-send-time\r\n\
+a=setup:actpass\r\n\
+a=mid:0\r\n\
+a=msid:stream1 video1\r\n\
+a=sendonly\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 msid:stream1 video1\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100 96\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP9/90000\r\n\
+a=rtcp-fb:100 nack\r\n\
+a=rtpmap:96 rtx/90000\r\n\
+a=fmtp:96 apt=100\r\n\
+a=extmap:4 http://www.webrtc.org/experiments/rtp-hdrext/abs-send-time\r\n\
+a=setup:actpass\r\n\
+a=mid:1\r\n\
+a=msid:stream1 video3\r\n\
+a=sendonly\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:4444 cname:peer1\r\n\
+a=ssrc:4444 msid:stream1 video3\r\n\
+a=rtcp-mux\r\n"
+
+  var warnings = [];
+  var logger = {
+    warn: function (msg) {
+      warnings.push(msg);
+    }
+  };
+
+  planBSdp = new Interop({ logger: logger }).toPlanB({ type: 'offer', sdp: conflicting }).sdp;
+  assert.deepEqual(warnings, [
+    'Payload type 100 is VP8/90000 in mid 0 and VP9/90000 in mid 1.',
+    'Extension http://www.webrtc.org/experiments/rtp-hdrext/abs-send-time has the id 3 in mid 0 and 4 in mid 1.'
+  ], "The incompatibilities were not reported");
+  assert.ok(planBSdp.indexOf('a=rtpmap:100 VP8/90000') > -1, "The codec of the first m-line was not kept");
+
+  assert.throws(function () {
+    new Interop({ strict: true }).toPlanB({ type: 'offer', sdp: conflicting });
+  }, function (error) {
+    return error instanceof IncompatibleMediaError && error.details.payload === '100'
+      && error.details.mids.join(' ') === '0 1';
+  }, "IncompatibleMediaError was not thrown");
+});
+
+QUnit.test('unifiedPlanToPlanBAggregatesDirections', function (assert) {
+  var unifiedPlan = "" +
+    "v=0\r\n\
+o=- 6352417452822806569 4 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=msid-semantic: WMS *\r\n\
+a=group:BUNDLE 0 1 2 3\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=setup:actpass\r\n\
+a=mid:0\r\n\
+a=inactive\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=setup:actpass\r\n\
+a=mid:1\r\n\
+a=recvonly\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=rtcp-mux\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=setup:actpass\r\n\
+a=mid:2\r\n\
+a=msid:stream1 audio1\r\n\
+a=sendonly\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+a=ssrc:1111 msid:stream1 audio1\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=setup:actpass\r\n\
+a=mid:3\r\n\
+a=msid:stream1 video1\r\n\
+a=sendonly\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 msid:stream1 video1\r\n\
+a=rtcp-mux\r\n"
+
+  var expectedPlanB = "" +
+    "v=0\r\n\
+o=- 6352417452822806569 4 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=msid-semantic: WMS *\r\n\
+a=group:BUNDLE audio video\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=setup:actpass\r\n\
+a=mid:audio\r\n\
+a=sendonly\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+a=ssrc:1111 msid:stream1 audio1\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=setup:actpass\r\n\
+a=mid:video\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 msid:stream1 video1\r\n\
+a=rtcp-mux\r\n"
+
+  var interop = new Interop();
+  var planBDesc = interop.toPlanB(new RTCSessionDescription({ type: 'offer', sdp: unifiedPlan }));
+
+  assert.equal(planBDesc.sdp, expectedPlanB,
+    "The directions of all the m-lines of a media type were not combined");
+});
+
+QUnit.test('rejectedMlines', function (assert) {
+  var unifiedPlan = "" +
+    "v=0\r\n\
+o=- 6352417452822806569 4 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=msid-semantic: WMS *\r\n\
+a=group:BUNDLE 0 1 2\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=setup:actpass\r\n\
+a=mid:0\r\n\
+a=msid:stream1 audio1\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+a=ssrc:1111 msid:stream1 audio1\r\n\
+a=rtcp-mux\r\n\
+m=video 0 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=setup:actpass\r\n\
+a=mid:1\r\n\
+a=msid:stream1 video1\r\n\
+a=inactive\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 msid:stream1 video1\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=setup:actpass\r\n\
+a=mid:2\r\n\
+a=msid:stream2 video2\r\n\
+a=sendonly\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:3333 cname:peer2\r\n\
+a=ssrc:3333 msid:stream2 video2\r\n\
+a=rtcp-mux\r\n"
+
+  var expectedPlanB = "" +
+    "v=0\r\n\
+o=- 6352417452822806569 4 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=msid-semantic: WMS *\r\n\
+a=group:BUNDLE audio video\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=setup:actpass\r\n\
+a=mid:audio\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+a=ssrc:1111 msid:stream1 audio1\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=setup:actpass\r\n\
+a=mid:video\r\n\
+a=sendonly\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:3333 cname:peer2\r\n\
+a=ssrc:3333 msid:stream2 video2\r\n\
+a=rtcp-mux\r\n"
+
+  var interop = new Interop();
+  var planBDesc = interop.toPlanB(new RTCSessionDescription({ type: 'offer', sdp: unifiedPlan }));
+
+  assert.equal(planBDesc.sdp, expectedPlanB,
+    "The rejected m-line was merged into the Plan B m-line");
+
+  var planB = "" +
+    "v=0\r\n\
+o=- 6352417452822806569 3 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=group:BUNDLE audio\r\n\
+a=msid-semantic: WMS *\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:audio\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+a=ssrc:1111 msid:stream1 audio1\r\n\
+m=video 0 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:video\r\n\
+a=inactive\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:100 VP8/90000\r\n"
+
+  var current = "" +
+    "v=0\r\n\
+o=- 6352417452822806569 4 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=msid-semantic: WMS *\r\n\
+a=group:BUNDLE 0 1 2\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=setup:actpass\r\n\
+a=mid:0\r\n\
+a=msid:stream1 audio1\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+a=ssrc:1111 msid:stream1 audio1\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=setup:actpass\r\n\
+a=mid:1\r\n\
+a=msid:stream1 video1\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 msid:stream1 video1\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=setup:actpass\r\n\
+a=mid:2\r\n\
+a=msid:stream2 video2\r\n\
+a=sendonly\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:3333 cname:peer2\r\n\
+a=ssrc:3333 msid:stream2 video2\r\n\
+a=rtcp-mux\r\n"
+
+  var expectedUnifiedPlan = "" +
+    "v=0\r\n\
+o=- 6352417452822806569 4 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=msid-semantic: WMS *\r\n\
+a=group:BUNDLE 0\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=setup:actpass\r\n\
+a=mid:0\r\n\
+a=msid:stream1 audio1\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+a=ssrc:1111 msid:stream1 audio1\r\n\
+a=rtcp-mux\r\n\
+m=video 0 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=setup:actpass\r\n\
+a=mid:1\r\n\
+a=inactive\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=rtcp-mux\r\n\
+m=video 0 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=setup:actpass\r\n\
+a=mid:2\r\n\
+a=inactive\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=rtcp-mux\r\n"
+
+  var unifiedPlanDesc = interop.toUnifiedPlan(new RTCSessionDescription({ type: 'offer', sdp: planB }),
+    new RTCSessionDescription({ type: 'offer', sdp: current }));
+
+  assert.equal(unifiedPlanDesc.sdp, expectedUnifiedPlan,
+    "The m-lines of the rejected Plan B m-line were not rejected");
+});
+
+QUnit.test('jingleSources', function (assert) {
+  var planB = "" +
+    "v=0\r\n\
+o=- 6352417452822806569 3 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=group:BUNDLE audio video\r\n\
+a=msid-semantic: WMS *\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:audio\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+a=ssrc:1111 msid:endpointA-audio-0 audio1\r\n\
+a=ssrc:1111 name:endpointA-a0\r\n\
+a=ssrc:6666 cname:peer2\r\n\
+a=ssrc:6666 msid:endpointB-audio-0 audio2\r\n\
+a=ssrc:6666 name:endpointB-a0\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100 96\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:video\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=rtpmap:96 rtx/90000\r\n\
+a=fmtp:96 apt=100\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 msid:endpointA-video-0 video1\r\n\
+a=ssrc:2222 name:endpointA-v0\r\n\
+a=ssrc:2223 cname:peer1\r\n\
+a=ssrc:2223 msid:endpointA-video-0 video1\r\n\
+a=ssrc:2223 name:endpointA-v0\r\n\
+a=ssrc:3333 cname:peer1\r\n\
+a=ssrc:3333 msid:endpointA-video-0 video1\r\n\
+a=ssrc:3333 name:endpointA-v0\r\n\
+a=ssrc:3334 cname:peer1\r\n\
+a=ssrc:3334 msid:endpointA-video-0 video1\r\n\
+a=ssrc:3334 name:endpointA-v0\r\n\
+a=ssrc:4444 cname:peer1\r\n\
+a=ssrc:4444 msid:endpointA-video-0 video1\r\n\
+a=ssrc:4444 name:endpointA-v0\r\n\
+a=ssrc:4445 cname:peer1\r\n\
+a=ssrc:4445 msid:endpointA-video-0 video1\r\n\
+a=ssrc:4445 name:endpointA-v0\r\n\
+a=ssrc-group:FID 2222 2223\r\n\
+a=ssrc-group:FID 3333 3334\r\n\
+a=ssrc-group:FID 4444 4445\r\n\
+a=ssrc-group:SIM 2222 3333 4444\r\n"
+
+  var session = transform.parse(planB);
+  var audio = session.media[0];
+  var video = session.media[1];
+
+  assert.equal(sourcesToJingle(audio),
+    '<description xmlns="urn:xmpp:jingle:apps:rtp:1" media="audio">'
+      + '<source xmlns="urn:xmpp:jingle:apps:rtp:ssma:0" ssrc="1111" name="endpointA-a0">'
+      + '<parameter name="cname" value="peer1"/><parameter name="msid" value="endpointA-audio-0 audio1"/>'
+      + '</source>'
+      + '<source xmlns="urn:xmpp:jingle:apps:rtp:ssma:0" ssrc="6666" name="endpointB-a0">'
+      + '<parameter name="cname" value="peer2"/><parameter name="msid" value="endpointB-audio-0 audio2"/>'
+      + '</source>'
+      + '</description>',
+    "Not expected Jingle description");
+
+  var sourceRemove = '<?xml version="1.0"?>'
+    + '<iq xmlns="jabber:client" type="set"><jingle xmlns="urn:xmpp:jingle:1" action="source-remove">'
+    + '<!-- the video sources of endpointA -->'
+    + '<content name="video">' + sourcesToJingle(video) + '</content>'
+    + '</jingle></iq>';
+
+  assert.deepEqual(jingleToSources(sourceRemove), [ {
+    type: 'video',
+    sources: video.sources,
+    ssrcGroups: video.ssrcGroups
+  } ], "Not expected sources");
+
+  var withoutVideo = removeJingleSources(planB, sourceRemove);
+
+  assert.deepEqual(getSources(withoutVideo).map(source => source.ssrc), [ 1111, 6666 ],
+    "The video sources were not removed");
+  assert.ok(withoutVideo.indexOf('a=ssrc-group') === -1, "The ssrc-groups were not removed");
+
+  var withVideo = addJingleSources(withoutVideo, sourceRemove.replace('source-remove', 'source-add'));
+
+  assert.deepEqual(getSources(withVideo), getSources(planB), "The video sources were not added");
+  assert.equal(addJingleSources(withVideo, sourceRemove), withVideo, "The existing sources were added again");
+});
+
+QUnit.test('diffSources', function (assert) {
+  var previous = "" +
+    "v=0\r\n\
+o=- 6352417452822806569 3 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=group:BUNDLE audio video\r\n\
+a=msid-semantic: WMS *\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:audio\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+a=ssrc:1111 msid:endpointA-audio-0 audio1\r\n\
+a=ssrc:1111 name:endpointA-a0\r\n\
+a=ssrc:6666 cname:peer2\r\n\
+a=ssrc:6666 msid:endpointB-audio-0 audio2\r\n\
+a=ssrc:6666 name:endpointB-a0\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100 96\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:video\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=rtpmap:96 rtx/90000\r\n\
+a=fmtp:96 apt=100\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 msid:endpointA-video-0 video1\r\n\
+a=ssrc:2222 name:endpointA-v0\r\n\
+a=ssrc:2223 cname:peer1\r\n\
+a=ssrc:2223 msid:endpointA-video-0 video1\r\n\
+a=ssrc:2223 name:endpointA-v0\r\n\
+a=ssrc:3333 cname:peer1\r\n\
+a=ssrc:3333 msid:endpointA-video-0 video1\r\n\
+a=ssrc:3333 name:endpointA-v0\r\n\
+a=ssrc:3334 cname:peer1\r\n\
+a=ssrc:3334 msid:endpointA-video-0 video1\r\n\
+a=ssrc:3334 name:endpointA-v0\r\n\
+a=ssrc:4444 cname:peer1\r\n\
+a=ssrc:4444 msid:endpointA-video-0 video1\r\n\
+a=ssrc:4444 name:endpointA-v0\r\n\
+a=ssrc:4445 cname:peer1\r\n\
+a=ssrc:4445 msid:endpointA-video-0 video1\r\n\
+a=ssrc:4445 name:endpointA-v0\r\n\
+a=ssrc-group:FID 2222 2223\r\n\
+a=ssrc-group:FID 3333 3334\r\n\
+a=ssrc-group:FID 4444 4445\r\n\
+a=ssrc-group:SIM 2222 3333 4444\r\n"
+
+  var current = "" +
+    "v=0\r\n\
+o=- 6352417452822806569 3 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=group:BUNDLE audio video\r\n\
+a=msid-semantic: WMS *\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:audio\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+a=ssrc:1111 msid:endpointA-audio-0 audio1\r\n\
+a=ssrc:1111 name:endpointA-a1\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100 96\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:video\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=rtpmap:96 rtx/90000\r\n\
+a=fmtp:96 apt=100\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 msid:endpointA-video-0 video1\r\n\
+a=ssrc:2222 name:endpointA-v0\r\n\
+a=ssrc:2223 cname:peer1\r\n\
+a=ssrc:2223 msid:endpointA-video-0 video1\r\n\
+a=ssrc:2223 name:endpointA-v0\r\n\
+a=ssrc:3333 cname:peer1\r\n\
+a=ssrc:3333 msid:endpointA-video-0 video1\r\n\
+a=ssrc:3333 name:endpointA-v0\r\n\
+a=ssrc:3334 cname:peer1\r\n\
+a=ssrc:3334 msid:endpointA-video-0 video1\r\n\
+a=ssrc:3334 name:endpointA-v0\r\n\
+a=ssrc:7777 cname:peer3\r\n\
+a=ssrc:7777 msid:endpointC-video-0 video3\r\n\
+a=ssrc-group:FID 2222 2223\r\n\
+a=ssrc-group:FID 3333 3334\r\n\
+a=ssrc-group:SIM 2222 3333\r\n"
+
+  var delta = diffSources(previous, new RTCSessionDescription({ type: 'offer', sdp: current }));
+
+  assert.deepEqual(delta.audio.removed.sources.map(source => source.id), [ 6666 ], "Not expected removed sources");
+  assert.deepEqual(delta.audio.modified.sources.map(pair => pair.current.name), [ 'endpointA-a1' ],
+    "Not expected modified sources");
+  assert.deepEqual(delta.video.added, {
+    sources: [ { id: 7777, cname: 'peer3', msid: 'endpointC-video-0 video3' } ],
+    ssrcGroups: []
+  }, "Not expected added sources");
+  assert.deepEqual(delta.video.removed, {
+    sources: [
+      { id: 4444, cname: 'peer1', msid: 'endpointA-video-0 video1', name: 'endpointA-v0' },
+      { id: 4445, cname: 'peer1', msid: 'endpointA-video-0 video1', name: 'endpointA-v0' }
+    ],
+    ssrcGroups: [ { semantics: 'FID', ssrcs: [ '4444', '4445' ] } ]
+  }, "Not expected removed sources");
+  assert.deepEqual(delta.video.modified.ssrcGroups, [ {
+    previous: { semantics: 'SIM', ssrcs: [ '2222', '3333', '4444' ] },
+    current: { semantics: 'SIM', ssrcs: [ '2222', '3333' ] }
+  } ], "Not expected modified ssrc-groups");
+
+  var interop = new Interop();
+  var unifiedPlanDesc = interop.toUnifiedPlan(new RTCSessionDescription({ type: 'offer', sdp: previous }));
+  var noDelta = diffSources(unifiedPlanDesc, previous);
+
+  Object.keys(noDelta).forEach(type => {
+    assert.equal(noDelta[type].added.sources.length + noDelta[type].removed.sources.length
+      + noDelta[type].modified.sources.length + noDelta[type].added.ssrcGroups.length
+      + noDelta[type].removed.ssrcGroups.length + noDelta[type].modified.ssrcGroups.length, 0,
+      "The sources of the Unified Plan description differ from the Plan B ones");
+  });
+});
+
+QUnit.test('commandLine', function (assert) {
+  var planB = "" +
+    "v=0\r\n\
+o=- 6352417452822806569 3 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=group:BUNDLE audio video\r\n\
+a=msid-semantic: WMS *\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:audio\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+a=ssrc:1111 msid:endpointA-audio-0 audio1\r\n\
+a=ssrc:1111 name:endpointA-a0\r\n\
+a=ssrc:6666 cname:peer2\r\n\
+a=ssrc:6666 msid:endpointB-audio-0 audio2\r\n\
+a=ssrc:6666 name:endpointB-a0\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100 96\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:video\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=rtpmap:96 rtx/90000\r\n\
+a=fmtp:96 apt=100\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 msid:endpointA-video-0 video1\r\n\
+a=ssrc:2222 name:endpointA-v0\r\n\
+a=ssrc:2223 cname:peer1\r\n\
+a=ssrc:2223 msid:endpointA-video-0 video1\r\n\
+a=ssrc:2223 name:endpointA-v0\r\n\
+a=ssrc:3333 cname:peer1\r\n\
+a=ssrc:3333 msid:endpointA-video-0 video1\r\n\
+a=ssrc:3333 name:endpointA-v0\r\n\
+a=ssrc:3334 cname:peer1\r\n\
+a=ssrc:3334 msid:endpointA-video-0 video1\r\n\
+a=ssrc:3334 name:endpointA-v0\r\n\
+a=ssrc:4444 cname:peer1\r\n\
+a=ssrc:4444 msid:endpointA-video-0 video1\r\n\
+a=ssrc:4444 name:endpointA-v0\r\n\
+a=ssrc:4445 cname:peer1\r\n\
+a=ssrc:4445 msid:endpointA-video-0 video1\r\n\
+a=ssrc:4445 name:endpointA-v0\r\n\
+a=ssrc-group:FID 2222 2223\r\n\
+a=ssrc-group:FID 3333 3334\r\n\
+a=ssrc-group:FID 4444 4445\r\n\
+a=ssrc-group:SIM 2222 3333 4444\r\n"
+
+  var files = {
+    // Pasted from a dump, with LF line endings and indented.
+    'planb.sdp': '  ' + planB.split('\r\n').join('\n  ')
+  };
+  var run = function (args) {
+    var result = { stdout: '', stderr: '' };
+
+    result.code = runCommand(args, {
+      readFile: function (file) {
+        return files[file];
+      },
+      stdout: function (s) {
+        result.stdout += s;
+      },
+      stderr: function (s) {
+        result.stderr += s;
+      }
+    });
+
+    return result;
+  };
+
+  var unifiedPlan = run([ '--to', 'unified', 'planb.sdp' ]);
+  var expectedUnifiedPlan = new Interop().toUnifiedPlan({ type: 'offer', sdp: planB }).sdp;
+
+  assert.equal(unifiedPlan.code, 0, "Not expected exit code");
+  assert.equal(unifiedPlan.stdout, expectedUnifiedPlan, "Not expected Unified Plan output");
+
+  files['unified.sdp'] = unifiedPlan.stdout;
+  assert.equal(run([ '--to', 'planb', '--summary', 'unified.sdp' ]).stdout,
+    'mid=audio audio sendrecv ssrc=1111 msid=endpointA-audio-0 audio1\n'
+      + 'mid=audio audio sendrecv ssrc=6666 msid=endpointB-audio-0 audio2\n'
+      + 'mid=video video sendrecv ssrc=2222 msid=endpointA-video-0 video1 simulcast=2222,3333,4444 '
+      + 'rtx=2223,3334,4445\n',
+    "Not expected summary");
+
+  var answer = run([ '--to', 'unified', '--type', 'answer', '--offer', 'unified.sdp', 'planb.sdp' ]);
+
+  assert.equal(answer.code, 0, "Not expected exit code");
+  assert.equal(answer.stdout, new Interop().toUnifiedPlan({ type: 'answer', sdp: planB }, null,
+    { offer: { type: 'offer', sdp: unifiedPlan.stdout } }).sdp, "Not expected Unified Plan answer");
+
+  var notUnifiedPlan = run([ '--to', 'planb', 'planb.sdp' ]);
+
+  assert.equal(notUnifiedPlan.code, 1, "Not expected exit code");
+  assert.equal(notUnifiedPlan.stderr, 'NotUnifiedPlanError: The description does not look like unified plan sdp\n',
+    "The conversion error was not reported");
+
+  assert.equal(run([ '--to', 'unified', '--type', 'pranswer', 'planb.sdp' ]).code, 2,
+    "An invalid type was accepted");
+  assert.equal(run([ 'planb.sdp' ]).code, 2, "The missing --to option was not reported");
+});
+
+QUnit.test('validator', function (assert) {
+  var planB = "" +
+    "v=0\r\n\
+o=- 6352417452822806569 3 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=group:BUNDLE audio video data\r\n\
+a=msid-semantic: WMS *\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:audio\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+a=ssrc:1111 msid:endpointA-audio-0 audio1\r\n\
+a=ssrc:1111 name:endpointA-a0\r\n\
+a=ssrc:6666 cname:peer2\r\n\
+a=ssrc:6666 name:endpointB-a0\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100 96\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:video\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=rtpmap:96 rtx/90000\r\n\
+a=fmtp:96 apt=100\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 msid:endpointA-video-0 video1\r\n\
+a=ssrc:2222 name:endpointA-v0\r\n\
+a=ssrc:2223 cname:peer1\r\n\
+a=ssrc:2223 msid:endpointA-video-0 video1\r\n\
+a=ssrc:2223 name:endpointA-v0\r\n\
+a=ssrc:3333 cname:peer1\r\n\
+a=ssrc:3333 msid:endpointA-video-0 video1\r\n\
+a=ssrc:3333 name:endpointA-v0\r\n\
+a=ssrc:3334 cname:peer1\r\n\
+a=ssrc:3334 msid:endpointA-video-0 video1\r\n\
+a=ssrc:3334 name:endpointA-v0\r\n\
+a=ssrc:4444 cname:peer1\r\n\
+a=ssrc:4444 msid:endpointA-video-0 video1\r\n\
+a=ssrc:4444 name:endpointA-v0\r\n\
+a=ssrc-group:FID 2222 2223\r\n\
+a=ssrc-group:FID 4444 4445\r\n\
+a=ssrc-group:SIM 2222 3333 4444\r\n"
+
+  var findings = validate(planB, { plan: 'plan-b' });
+
+  assert.deepEqual(findings.map(finding => [ finding.code, finding.severity, finding.mid, finding.ssrc ]), [
+    [ 'unknown-bundle-mid', 'error', undefined, undefined ],
+    [ 'missing-msid', 'warning', 'audio', 6666 ],
+    [ 'unknown-group-ssrc', 'error', 'video', 4445 ],
+    [ 'missing-sim-rtx', 'warning', 'video', 3333 ]
+  ], "Not expected findings");
+  assert.equal(findings[2].mLineIndex, 1, "Not expected m-line index");
+
+  var unifiedPlan = new Interop().toUnifiedPlan({ type: 'offer', sdp: planB }).sdp;
+
+  assert.ok(validate(unifiedPlan, { plan: 'plan-b' }).some(finding => finding.code === 'multiple-mlines'),
+    "The Unified Plan description was not reported");
+  assert.ok(!validate(unifiedPlan, { plan: 'unified-plan' }).some(finding => finding.code === 'multiple-sources'),
+    "The Unified Plan description was reported");
+
+  // The plan can be the one detected for the description, any other plan is reported.
+  assert.equal(detectSemantics(planB).semantics, 'plan-b', "Not expected semantics");
+  assert.deepEqual(validate(planB, { plan: detectSemantics(planB).semantics }), findings,
+    "The description was not validated against the detected plan");
+  assert.deepEqual(validate(planB, { plan: 'planb' }).filter(finding => finding.severity === 'error')
+    .map(finding => finding.code), [ 'unknown-bundle-mid', 'unknown-group-ssrc', 'unknown-plan' ],
+    "The unknown plan was not reported");
+
+  var strictInterop = new Interop({ strict: true, validate: true, logger: { warn: function () {} } });
+
+  assert.throws(function () {
+    strictInterop.toUnifiedPlan({ type: 'offer', sdp: planB });
+  }, function (error) {
+    return error instanceof InvalidDescriptionError && error.details.findings.length === 4;
+  }, "InvalidDescriptionError was not thrown");
+
+  // An FID group that references an ssrc without a=ssrc lines is dropped instead of breaking the conversion.
+  var brokenFid = "" +
+    "v=0\r\n\
+o=- 6352417452822806569 3 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=group:BUNDLE audio video\r\n\
+a=msid-semantic: WMS *\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:audio\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+a=ssrc:1111 msid:stream1 audio1\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:video\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 msid:stream1 video1\r\n\
+a=ssrc-group:FID 9999 2222\r\n"
+
+  var converted = new Interop().toUnifiedPlan({ type: 'offer', sdp: brokenFid }).sdp;
+
+  assert.ok(converted.indexOf('a=ssrc:2222 msid:stream1 video1') > -1, "The source was dropped");
+  assert.ok(converted.indexOf('9999') === -1, "The FID group was signaled");
+});
+
+QUnit.test('detectSemantics', function (assert) {
+  // A Unified Plan description whose mids look like Plan B mids. It could as
+  // well be a Plan B description with the msids at the media level.
+  var unifiedPlan = "" +
+    "v=0\r\n\
+o=- 6352417452822806569 3 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=group:BUNDLE audio video\r\n\
+a=msid-semantic: WMS *\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:audio\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=msid:stream1 audio1\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:video\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=msid:stream1 video1\r\n\
+a=ssrc:2222 cname:peer1\r\n"
+
+  // A Plan B description with a separate m-line for screen sharing.
+  var planB = "" +
+    "v=0\r\n\
+o=- 6352417452822806569 3 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=group:BUNDLE audio video screen data\r\n\
+a=msid-semantic: WMS *\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:audio\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+a=ssrc:1111 msid:stream1 audio1\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:video\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 msid:stream1 video1\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:screen\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=ssrc:3333 cname:peer1\r\n\
+a=ssrc:3333 msid:stream2 screen1\r\n\
+m=application 9 UDP/DTLS/SCTP webrtc-datachannel\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:data\r\n\
+a=sctp-port:5000\r\n"
+
+  var result = detectSemantics(unifiedPlan);
+
+  assert.equal(result.semantics, 'ambiguous', "Not expected semantics");
+  assert.deepEqual(result.reasons.map(reason => reason.semantics + (reason.strong ? ' strong' : '')),
+    [ 'unified-plan', 'unified-plan', 'plan-b' ], "Not expected reasons");
+  assert.equal(detectSemantics({ type: 'offer', sdp: planB }).semantics, 'ambiguous', "Not expected semantics");
+  assert.equal(detectSemantics(planB.replace('a=ssrc:3333 cname:peer1\r\na=ssrc:3333 msid:stream2 screen1\r\n',
+    '').replace('a=ssrc:2222 msid:stream1 video1\r\n',
+    'a=ssrc:2222 msid:stream1 video1\r\na=ssrc:3333 cname:peer1\r\na=ssrc:3333 msid:stream2 screen1\r\n'))
+    .semantics, 'plan-b', "Not expected semantics");
+  assert.equal(detectSemantics('').semantics, 'ambiguous', "Not expected semantics");
+
+  var interop = new Interop({ strict: true });
+  var planBResult = transform.parse(interop.toPlanB({ type: 'offer', sdp: unifiedPlan }).sdp);
+
+  assert.deepEqual(planBResult.media.map(m => m.mid), [ 'audio', 'video' ], "Not expected m-lines");
+
+  var unifiedResult = transform.parse(interop.toUnifiedPlan({ type: 'offer', sdp: planB }).sdp);
+
+  assert.deepEqual(unifiedResult.media.map(m => m.sources ? m.sources[0].id : m.type),
+    [ 1111, 2222, 3333, 'application' ], "Not expected m-lines");
+});
+
+QUnit.test('planBEnvelopes', function (assert) {
+  // A Unified Plan description with a camera track and a screen share track.
+  var unifiedPlan = "" +
+    "v=0\r\n\
+o=- 6352417452822806569 3 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=group:BUNDLE 0 1 2\r\n\
+a=msid-semantic: WMS *\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:0\r\n\
+a=msid:stream1 audio1\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:1\r\n\
+a=msid:stream1 video1\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 videoType:camera\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:2\r\n\
+a=msid:stream2 screen1\r\n\
+a=sendonly\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=ssrc:3333 cname:peer1\r\n\
+a=ssrc:3333 videoType:desktop\r\n"
+
+  var options = {
+    planBMids: { audio: '0', video: '1', application: '2', screen: '3' },
+    routeSource: function (source) {
+      return source.videoType === 'desktop' ? 'screen' : undefined;
+    }
+  };
+  var interop = new Interop(options);
+  var planB = interop.toPlanB({ type: 'offer', sdp: unifiedPlan }).sdp;
+  var session = transform.parse(planB);
+
+  assert.deepEqual(session.media.map(m => m.mid.toString()), [ '0', '1', '3' ], "Not expected Plan B mids");
+  assert.deepEqual(session.media.map(m => m.sources.map(source => source.id)), [ [ 1111 ], [ 2222 ], [ 3333 ] ],
+    "Not expected Plan B sources");
+  assert.equal(session.groups[0].mids, '0 1 3', "Not expected BUNDLE group");
+  assert.equal(transform.parse(new Interop().toPlanB({ type: 'offer', sdp: unifiedPlan }).sdp).media.length, 2,
+    "The screen share was not merged by default");
+
+  // The screen share envelope is kept without sources once the screen share is stopped.
+  var stopped = unifiedPlan.replace('a=msid:stream2 screen1\r\na=sendonly\r\n', 'a=inactive\r\n')
+    .replace('a=ssrc:3333 cname:peer1\r\na=ssrc:3333 videoType:desktop\r\n', '');
+  var stoppedSession = transform.parse(interop.toPlanB({ type: 'offer', sdp: stopped }).sdp);
+
+  assert.deepEqual(stoppedSession.media.map(m => m.mid.toString()), [ '0', '1', '3' ], "Not expected Plan B mids");
+  assert.equal(stoppedSession.media[2].sources, undefined, "Not expected screen share sources");
+  assert.equal(stoppedSession.media[2].direction, 'recvonly', "Not expected screen share direction");
+
+  // The Plan B description with the numeric mids and the screen share envelope is converted back.
+  var unifiedSession = transform.parse(new Interop(options).toUnifiedPlan({ type: 'offer', sdp: planB }).sdp);
+
+  assert.deepEqual(unifiedSession.media.map(m => m.sources[0].id), [ 1111, 2222, 3333 ],
+    "Not expected Unified Plan sources");
+  assert.equal(unifiedSession.groups[0].mids, '0 1 2', "Not expected BUNDLE group");
+});
+
+QUnit.test('planBToUnifiedBundleOnly', function (assert) {
+  // The video m-line is bundle-only, with a zero port.
+  var planB = "" +
+    "v=0\r\n\
+o=- 6352417452822806569 3 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=group:BUNDLE audio video\r\n\
+a=msid-semantic: WMS *\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:audio\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+a=ssrc:1111 msid:stream1 audio1\r\n\
+m=video 0 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=bundle-only\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:video\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 msid:stream1 video1\r\n\
+a=ssrc:3333 cname:peer2\r\n\
+a=ssrc:3333 msid:stream2 video2\r\n"
+
+  var session = transform.parse(new Interop().toUnifiedPlan({ type: 'offer', sdp: planB }).sdp);
+
+  assert.equal(session.groups[0].mids, '0 1 2', "The bundle-only m-lines were not bundled");
+  assert.deepEqual(session.media.map(m => m.port), [ 9, 0, 0 ], "Not expected ports");
+  assert.deepEqual(session.media.map(m => Boolean(m.bundleOnly)), [ false, true, true ],
+    "Not expected bundle-only m-lines");
+  assert.deepEqual(session.media.map(m => m.sources[0].id), [ 1111, 2222, 3333 ], "Not expected sources");
+});
+
+QUnit.test('sourceInventoryRejectedMlines', function (assert) {
+  // The screen share m-line is rejected but still lists its stale ssrc.
+  var unifiedPlan = "" +
+    "v=0\r\n\
+o=- 6352417452822806569 3 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=group:BUNDLE 0 1\r\n\
+a=msid-semantic: WMS *\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:0\r\n\
+a=msid:stream1 audio1\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:1\r\n\
+a=msid:stream1 video1\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 videoType:camera\r\n\
+m=video 0 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:2\r\n\
+a=inactive\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=ssrc:3333 cname:peer1\r\n\
+a=ssrc:3333 videoType:desktop\r\n\
+a=ssrc:3333 msid:stream2 screen1\r\n"
+
+  assert.deepEqual(getSources(unifiedPlan).map(source => source.ssrc), [ 1111, 2222 ],
+    "The stale source of the rejected m-line was reported");
+  assert.equal(findSourceBySsrc(unifiedPlan, 3333), undefined, "The stale source of the rejected m-line was found");
+});
+
+QUnit.test('unifiedPlanToPlanBStrictKeepsState', function (assert) {
+  var unifiedPlan = "" +
+    "v=0\r\n\
+o=- 6352417452822806569 4 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=msid-semantic: WMS *\r\n\
+a=group:BUNDLE 0\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100 96\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=rtcp-fb:100 nack\r\n\
+a=rtpmap:96 rtx/90000\r\n\
+a=fmtp:96 apt=100\r\n\
+a=extmap:3 http://www.webrtc.org/experiments/rtp-hdrext/abs-send-time\r\n\
+a=setup:actpass\r\n\
+a=mid:0\r\n\
+a=msid:stream1 video1\r\n\
+a=sendonly\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 msid:stream1 video1\r\n\
+a=rtcp-mux\r\n"
+
+  var conflicting = "" +
+    "v=0\r\n\
+o=- 6352417452822806569 4 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=msid-semantic: WMS *\r\n\
+a=group:BUNDLE 0 1\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100 96\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=rtcp-fb:100 nack\r\n\
+a=rtpmap:96 rtx/90000\r\n\
+a=fmtp:96 apt=100\r\n\
+a=extmap:3 http://www.webrtc.org/experiments/rtp-hdrext/abs-send-time\r\n\
+a=setup:actpass\r\n\
+a=mid:0\r\n\
+a=msid:stream1 video1\r\n\
+a=sendonly\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 msid:stream1 video1\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100 96\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP9/90000\r\n\
+a=rtcp-fb:100 nack\r\n\
+a=rtpmap:96 rtx/90000\r\n\
+a=fmtp:96 apt=100\r\n\
+a=extmap:4 http://www.webrtc.org/experiments/rtp-hdrext/abs-send-time\r\n\
+a=setup:actpass\r\n\
+a=mid:1\r\n\
+a=msid:stream1 video3\r\n\
+a=sendonly\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:4444 cname:peer1\r\n\
+a=ssrc:4444 msid:stream1 video3\r\n\
+a=rtcp-mux\r\n"
+
+  var interop = new Interop({ strict: true });
+  var planBDesc = interop.toPlanB({ type: 'offer', sdp: unifiedPlan });
+  var mappings = interop.getMappings();
+  var mid = interop.candidateToPlanB({ candidate: 'candidate:1 1 udp 1 10.0.0.1 1 typ host', sdpMid: '0' }).sdpMid;
+
+  assert.throws(function () {
+    interop.toPlanB({ type: 'offer', sdp: conflicting });
+  }, IncompatibleMediaError, "IncompatibleMediaError was not thrown");
+  assert.deepEqual(interop.getMappings(), mappings, "The rejected description changed the mappings");
+  assert.equal(interop.candidateToPlanB({ candidate: 'candidate:1 1 udp 1 10.0.0.1 1 typ host', sdpMid: '0' }).sdpMid,
+    mid, "The rejected description changed the mids of the last conversion");
+  assert.equal(interop.toPlanB({ type: 'offer', sdp: unifiedPlan }).sdp, planBDesc.sdp,
+    "The description is not converted as before the rejected description");
+});
+
+QUnit.test('interopPeerConnectionStrict', function (assert) {
+  var unifiedPlan = "" +
+    "v=0\r\n\
+o=- 6352417452822806569 3 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=group:BUNDLE 0 1 2\r\n\
+a=msid-semantic: WMS *\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:0\r\n\
+a=msid:stream1 audio1\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:1\r\n\
+a=msid:stream1 video1\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 videoType:camera\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:2\r\n\
+a=msid:stream2 screen1\r\n\
+a=sendonly\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=ssrc:3333 cname:peer1\r\n\
+a=ssrc:3333 videoType:desktop\r\n"
+
+  var fakePeerConnection = {
+    localDescription: new RTCSessionDescription({ type: 'offer', sdp: unifiedPlan }),
+    remoteDescription: null,
+    setLocalDescription: function (description) {
+      this.localDescription = description;
+      return Promise.resolve();
+    },
+    setRemoteDescription: function (description) {
+      this.remoteDescription = description;
+      return Promise.resolve();
+    },
+    addIceCandidate: function () {
+      return Promise.resolve();
+    }
+  };
+
+  var pc = new InteropPeerConnection(fakePeerConnection, { strict: true });
+  var planBSdp = pc.localDescription.sdp;
+
+  assert.equal(pc.localDescription.sdp, planBSdp, "The local description changed when it was read again");
+  assert.deepEqual(pc.interop.getMappings(), [], "Reading the local description changed the mappings");
+
+  var done = assert.async();
+  var setRemote;
+
+  try {
+    setRemote = pc.setRemoteDescription({ type: 'offer' });
+  } catch (error) {
+    assert.ok(false, "setRemoteDescription threw synchronously");
+    done();
+
+    return;
+  }
+  setRemote
+    .then(function () {
+      assert.ok(false, "The empty description was set");
+    }, function (error) {
+      assert.ok(error instanceof EmptyDescriptionError, "The promise was not rejected with EmptyDescriptionError");
+      assert.equal(fakePeerConnection.remoteDescription, null, "The empty description was set");
+
+      return pc.addIceCandidate({ candidate: 'candidate:1 1 udp 1 10.0.0.1 1 typ host', sdpMid: 'audio' });
+    })
+    .then(function () {
+      assert.ok(false, "The candidate of an unknown mid was added");
+    }, function (error) {
+      assert.ok(error instanceof UnknownMidError, "The promise was not rejected with UnknownMidError");
+    })
+    .then(done);
+});
+
+QUnit.test('planBMediaLevelMsidToUnified', function (assert) {
+  // A Plan B description with a single source per m-line whose msid is only
+  // signaled at the media level.
+  var planB = "" +
+    "v=0\r\n\
+o=- 6352417452822806569 3 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=group:BUNDLE audio video\r\n\
+a=msid-semantic: WMS *\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:audio\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=msid:stream1 audio1\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100 96\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:video\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=rtpmap:96 rtx/90000\r\n\
+a=fmtp:96 apt=100\r\n\
+a=msid:stream1 video1\r\n\
+a=ssrc-group:FID 2222 3333\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:3333 cname:peer1\r\n"
+
+  var interop = new Interop({ strict: true });
+  var session = transform.parse(interop.toUnifiedPlan({ type: 'offer', sdp: planB }).sdp);
+
+  assert.deepEqual(session.media.map(m => m.mid.toString()), [ '0', '1' ], "Not expected m-lines");
+  assert.deepEqual(session.media.map(m => m.msid), [ 'stream1 audio1', 'stream1 video1' ], "Not expected msids");
+  assert.deepEqual(session.media[1].sources.map(source => source.id + ' ' + source.msid),
+    [ '2222 stream1 video1', '3333 stream1 video1' ], "The msid of the m-line was not given to its sources");
+});
+
+QUnit.test('planBEnvelopesKeepOrder', function (assert) {
+  // The screen share m-line comes before the camera m-line.
+  var unifiedPlan = "" +
+    "v=0\r\n\
+o=- 6352417452822806569 3 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=group:BUNDLE 0 1 2\r\n\
+a=msid-semantic: WMS *\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:0\r\n\
+a=msid:stream1 audio1\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:1\r\n\
+a=msid:stream2 screen1\r\n\
+a=sendonly\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=ssrc:3333 cname:peer1\r\n\
+a=ssrc:3333 videoType:desktop\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:2\r\n\
+a=msid:stream1 video1\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 videoType:camera\r\n"
+
+  var interop = new Interop({
+    planBMids: { screen: 'screen' },
+    routeSource: function (source) {
+      return source.videoType === 'desktop' ? 'screen' : undefined;
+    }
+  });
+  var session = transform.parse(interop.toPlanB({ type: 'offer', sdp: unifiedPlan }).sdp);
+
+  assert.deepEqual(session.media.map(m => m.mid), [ 'audio', 'screen', 'video' ], "Not expected Plan B mids");
+
+  // The screen share is stopped and the description is renegotiated.
+  var stopped = unifiedPlan.replace('a=msid:stream2 screen1\r\na=sendonly\r\n', 'a=inactive\r\n')
+    .replace('a=ssrc:3333 cname:peer1\r\na=ssrc:3333 videoType:desktop\r\n', '');
+  var stoppedSession = transform.parse(interop.toPlanB({ type: 'offer', sdp: stopped }).sdp);
+
+  assert.deepEqual(stoppedSession.media.map(m => m.mid), [ 'audio', 'screen', 'video' ],
+    "The Plan B m-lines were reordered");
+  assert.equal(stoppedSession.media[1].sources, undefined, "Not expected screen share sources");
+  assert.deepEqual(stoppedSession.media[2].sources.map(source => source.id), [ 2222 ],
+    "Not expected camera sources");
+});
+
+QUnit.test('planBEnvelopesValidate', function (assert) {
+  // A Unified Plan description with a camera track and a screen share track.
+  var unifiedPlan = "" +
+    "v=0\r\n\
+o=- 6352417452822806569 3 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=group:BUNDLE 0 1 2\r\n\
+a=msid-semantic: WMS *\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:0\r\n\
+a=msid:stream1 audio1\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:1\r\n\
+a=msid:stream1 video1\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 videoType:camera\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:2\r\n\
+a=msid:stream2 screen1\r\n\
+a=sendonly\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=ssrc:3333 cname:peer1\r\n\
+a=ssrc:3333 videoType:desktop\r\n"
+
+  var routeSource = function (source) {
+    return source.videoType === 'desktop' ? 'screen' : undefined;
+  };
+  var options = {
+    strict: true,
+    validate: true,
+    planBMids: { screen: 'screen' },
+    routeSource: routeSource
+  };
+  var planB = new Interop(options).toPlanB({ type: 'offer', sdp: unifiedPlan }).sdp;
+
+  assert.deepEqual(transform.parse(planB).media.map(m => m.mid), [ 'audio', 'video', 'screen' ],
+    "Not expected Plan B mids");
+  assert.deepEqual(validate(planB, { plan: 'plan-b' }).map(finding => finding.code), [ 'multiple-mlines' ],
+    "The screen share m-line was not reported");
+  assert.deepEqual(validate(planB, { plan: 'plan-b', envelopeMids: [ 'screen' ] }), [],
+    "The screen share envelope was reported");
+
+  // The envelope is configured with the planBMids option.
+  var session = transform.parse(new Interop(options).toUnifiedPlan({ type: 'offer', sdp: planB }).sdp);
+
+  assert.deepEqual(session.media.map(m => m.sources[0].id), [ 1111, 2222, 3333 ], "Not expected m-lines");
+
+  // The envelope was returned by the routeSource option.
+  var interop = new Interop({ strict: true, validate: true, routeSource: routeSource });
+  var planBSdp = interop.toPlanB({ type: 'offer', sdp: unifiedPlan }).sdp;
+
+  session = transform.parse(interop.toUnifiedPlan({ type: 'offer', sdp: planBSdp }).sdp);
+  assert.deepEqual(session.media.map(m => m.sources[0].id), [ 1111, 2222, 3333 ], "Not expected m-lines");
+});
+
+QUnit.test('unifiedPlanToPlanBWithoutMid', function (assert) {
+  // The camera m-line has no a=mid line.
+  var unifiedPlan = "" +
+    "v=0\r\n\
+o=- 6352417452822806569 3 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=group:BUNDLE 0 1 2\r\n\
+a=msid-semantic: WMS *\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:0\r\n\
+a=msid:stream1 audio1\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=msid:stream1 video1\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 videoType:camera\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:2\r\n\
+a=msid:stream2 screen1\r\n\
+a=sendonly\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=ssrc:3333 cname:peer1\r\n\
+a=ssrc:3333 videoType:desktop\r\n"
+
+  var warnings = [];
+  var logger = {
+    warn: function (msg) {
+      warnings.push(msg);
+    }
+  };
+  var description = { type: 'offer', sdp: unifiedPlan };
+
+  assert.strictEqual(new Interop({ logger: logger }).toPlanB(description), description,
+    "The description was not returned unchanged");
+  assert.deepEqual(warnings, [ 'The m-line 1 has no mid.' ], "The missing mid was not reported");
+
+  assert.throws(function () {
+    new Interop({ strict: true }).toPlanB(description);
+  }, function (error) {
+    return error instanceof MalformedSdpError && error.details.mLineIndex === 1;
+  }, "MalformedSdpError was not thrown");
+});
+
+QUnit.test('planBToUnifiedWithoutMid', function (assert) {
+  // The video m-line has no a=mid line.
+  var planB = "" +
+    "v=0\r\n\
+o=- 6352417452822806569 3 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=group:BUNDLE audio video\r\n\
+a=msid-semantic: WMS *\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:audio\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=msid:stream1 audio1\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100 96\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=rtpmap:96 rtx/90000\r\n\
+a=fmtp:96 apt=100\r\n\
+a=msid:stream1 video1\r\n\
+a=ssrc-group:FID 2222 3333\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:3333 cname:peer1\r\n"
+
+  var warnings = [];
+  var logger = {
+    warn: function (msg) {
+      warnings.push(msg);
+    }
+  };
+  var description = { type: 'offer', sdp: planB };
+
+  assert.strictEqual(new Interop({ logger: logger }).toUnifiedPlan(description), description,
+    "The description was not returned unchanged");
+  assert.deepEqual(warnings, [ 'The m-line 1 has no mid.' ], "The missing mid was not reported");
+
+  assert.throws(function () {
+    new Interop({ strict: true }).toUnifiedPlan(description);
+  }, function (error) {
+    return error instanceof MalformedSdpError && error.details.mLineIndex === 1;
+  }, "MalformedSdpError was not thrown");
+});
+
+QUnit.test('malformedCurrentDescription', function (assert) {
+  var planB = "" +
+    "v=0\r\n\
+o=- 6352417452822806569 3 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=group:BUNDLE audio video\r\n\
+a=msid-semantic: WMS *\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:audio\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=msid:stream1 audio1\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100 96\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:video\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=rtpmap:96 rtx/90000\r\n\
+a=fmtp:96 apt=100\r\n\
+a=msid:stream1 video1\r\n\
+a=ssrc-group:FID 2222 3333\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:3333 cname:peer1\r\n"
+
+  // The current description has a camera m-line without a=mid line.
+  var current = "" +
+    "v=0\r\n\
+o=- 6352417452822806569 3 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=group:BUNDLE 0 1 2\r\n\
+a=msid-semantic: WMS *\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:0\r\n\
+a=msid:stream1 audio1\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=msid:stream1 video1\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 videoType:camera\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:2\r\n\
+a=msid:stream2 screen1\r\n\
+a=sendonly\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=ssrc:3333 cname:peer1\r\n\
+a=ssrc:3333 videoType:desktop\r\n"
+
+  var interop = new Interop({ strict: true, stateful: true });
+
+  assert.throws(function () {
+    interop.toUnifiedPlan({ type: 'offer', sdp: planB }, { type: 'offer', sdp: current });
+  }, function (error) {
+    return error instanceof MalformedSdpError && error.details.mLineIndex === 1 && error.details.sdp === current;
+  }, "MalformedSdpError was not thrown");
+  assert.deepEqual(interop.getMappings(), [], "The rejected description changed the mappings");
+});
+
+QUnit.test('planBToUnifiedIceRestartPerTransport', function (assert) {
+  // The audio and the video m-lines are not bundled. The video m-line with mid
+  // 2 still has the ICE credentials of its own transport.
+  var currentUnifiedPlan = "" +
+    "v=0\r\n\
+o=- 6352417452822806569 4 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=msid-semantic: WMS *\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=setup:actpass\r\n\
+a=mid:0\r\n\
+a=msid:stream1 audio1\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+a=ssrc:1111 msid:stream1 audio1\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=setup:actpass\r\n\
+a=mid:1\r\n\
+a=msid:stream1 video1\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:Vj9DgM0a8uFq2LsT\r\n\
+a=ice-pwd:m3WcYq1ZpTn8RkXe5HbA7uJd\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 msid:stream1 video1\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=setup:actpass\r\n\
+a=mid:2\r\n\
+a=msid:stream2 video2\r\n\
+a=sendonly\r\n\
+a=ice-ufrag:Qe4TnW8cLr2Xb7Hd\r\n\
+a=ice-pwd:Zk3PvN6sDf9Gm2Jw5Rt8Yc1B\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:3333 cname:peer2\r\n\
+a=ssrc:3333 msid:stream2 video2\r\n\
+a=rtcp-mux\r\n"
+
+  var planB = "" +
+    "v=0\r\n\
+o=- 6352417452822806569 3 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=msid-semantic: WMS *\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:audio\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+a=ssrc:1111 msid:stream1 audio1\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:Vj9DgM0a8uFq2LsT\r\n\
+a=ice-pwd:m3WcYq1ZpTn8RkXe5HbA7uJd\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:video\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 msid:stream1 video1\r\n"
+
+  var credentials = function (sdp) {
+    return transform.parse(sdp).media.map(m => m.iceUfrag + ' ' + m.icePwd);
+  };
+  var current = new RTCSessionDescription({ type: 'offer', sdp: currentUnifiedPlan });
+  var interop = new Interop();
+
+  // No transport is restarted, every m-line keeps its ICE credentials.
+  assert.deepEqual(credentials(interop.toUnifiedPlan(new RTCSessionDescription({ type: 'offer', sdp: planB }),
+    current).sdp), credentials(currentUnifiedPlan), "The ICE credentials were changed without an ICE restart");
+
+  // Only the video transport is restarted.
+  var restarted = planB.replace('a=ice-ufrag:Vj9DgM0a8uFq2LsT\r\na=ice-pwd:m3WcYq1ZpTn8RkXe5HbA7uJd\r\n',
+    'a=ice-ufrag:Hb5RmX2kPq8TzW4n\r\na=ice-pwd:Lc7VgY3dNs6Fj9Kq2Bw5Xh8T\r\n');
+
+  assert.deepEqual(credentials(interop.toUnifiedPlan(new RTCSessionDescription({ type: 'offer', sdp: restarted }),
+    current).sdp), [
+    'xHOGnBsKDPCmHB5t qpnbhhoyeTrypBkX5F1u338T',
+    'Hb5RmX2kPq8TzW4n Lc7VgY3dNs6Fj9Kq2Bw5Xh8T',
+    'Hb5RmX2kPq8TzW4n Lc7VgY3dNs6Fj9Kq2Bw5Xh8T'
+  ], "The ICE restart of the video transport was not detected");
+});
+
+QUnit.test('toUnifiedPlanEnvelopeTransport', function (assert) {
+  // A Plan B description whose screen share envelope is not bundled and has its own transport.
+  var planB = "" +
+    "v=0\r\n\
+o=- 6352417452822806569 3 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=group:BUNDLE audio video\r\n\
+a=msid-semantic: WMS *\r\n\
+m=audio 50000 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 192.0.2.1\r\n\
+a=candidate:1 1 udp 2122260223 192.0.2.1 50000 typ host\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:audio\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+a=ssrc:1111 msid:stream1 audio1\r\n\
+m=video 50000 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 192.0.2.1\r\n\
+a=candidate:1 1 udp 2122260223 192.0.2.1 50000 typ host\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:video\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 msid:stream1 video1\r\n\
+m=video 50002 UDP/TLS/RTP/SAVPF 100\r\n\
+c=IN IP4 192.0.2.2\r\n\
+a=candidate:1 1 udp 2122260223 192.0.2.2 50002 typ host\r\n\
+a=ice-ufrag:Vj9DgM0a8uFq2LsT\r\n\
+a=ice-pwd:m3WcYq1ZpTn8RkXe5HbA7uJd\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:screen\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=ssrc:3333 cname:peer1\r\n\
+a=ssrc:3333 msid:stream2 screen1\r\n"
+
+  var interop = new Interop();
+  var session = transform.parse(interop.toUnifiedPlan(new RTCSessionDescription({ type: 'offer', sdp: planB })).sdp);
+  var screen = session.media.find(m => m.msid === 'stream2 screen1');
+  var camera = session.media.find(m => m.msid === 'stream1 video1');
+
+  assert.equal(screen.iceUfrag, 'Vj9DgM0a8uFq2LsT', "Not expected screen share ICE ufrag");
+  assert.equal(screen.port, 50002, "Not expected screen share port");
+  assert.equal(screen.connection.ip, '192.0.2.2', "Not expected screen share address");
+  assert.deepEqual(screen.candidates.map(c => c.ip), [ '192.0.2.2' ], "Not expected screen share candidates");
+  assert.equal(camera.iceUfrag, 'xHOGnBsKDPCmHB5t', "Not expected camera ICE ufrag");
+  assert.deepEqual(camera.candidates.map(c => c.ip), [ '192.0.2.1' ], "Not expected camera candidates");
+  assert.deepEqual(session.groups[0].mids.split(' '), session.media.filter(m => m !== screen).map(m => String(m.mid)),
+    "The screen share m-line was bundled");
+
+  // The answer to an offer with three m-lines also keeps the transport of the screen share envelope.
+  var offer = new RTCSessionDescription({ type: 'offer', sdp: transform.write(session) });
+  var answer = transform.parse(new Interop().toUnifiedPlan(new RTCSessionDescription({ type: 'answer', sdp: planB }),
+    null, { offer: offer }).sdp);
+  var answerScreen = answer.media.find(m => m.msid === 'stream2 screen1');
+
+  assert.equal(answerScreen.iceUfrag, 'Vj9DgM0a8uFq2LsT', "Not expected answer screen share ICE ufrag");
+  assert.deepEqual(answerScreen.candidates.map(c => c.ip), [ '192.0.2.2' ],
+    "Not expected answer screen share candidates");
+});
+
+QUnit.test('jingleSourcesRouting', function (assert) {
+  // A Plan B description with a separate m-line for screen sharing.
+  var planB = "" +
+    "v=0\r\n\
+o=- 6352417452822806569 3 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=group:BUNDLE audio video screen\r\n\
+a=msid-semantic: WMS *\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:audio\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+a=ssrc:1111 msid:stream1 audio1\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100 96\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:video\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=rtpmap:96 rtx/90000\r\n\
+a=fmtp:96 apt=100\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100 96\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:screen\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=rtpmap:96 rtx/90000\r\n\
+a=fmtp:96 apt=100\r\n"
+
+  var sourceAdd = '<iq xmlns="jabber:client" type="set"><jingle xmlns="urn:xmpp:jingle:1" action="source-add">'
+    + '<content name="video"><description xmlns="urn:xmpp:jingle:apps:rtp:1" media="video">'
+    + '<source xmlns="urn:xmpp:jingle:apps:rtp:ssma:0" ssrc="2222"><parameter name="cname" value="peer2"/>'
+    + '<parameter name="msid" value="stream2 video2"/><parameter name="videoType" value="camera"/></source>'
+    + '<source xmlns="urn:xmpp:jingle:apps:rtp:ssma:0" ssrc="3333"><parameter name="cname" value="peer2"/>'
+    + '<parameter name="msid" value="stream3 screen2"/><parameter name="videoType" value="desktop"/></source>'
+    + '<source xmlns="urn:xmpp:jingle:apps:rtp:ssma:0" ssrc="3334"><parameter name="cname" value="peer2"/>'
+    + '<parameter name="msid" value="stream3 screen2"/><parameter name="videoType" value="desktop"/></source>'
+    + '<ssrc-group xmlns="urn:xmpp:jingle:apps:rtp:ssma:0" semantics="FID"><source ssrc="3333"/>'
+    + '<source ssrc="3334"/></ssrc-group>'
+    + '</description></content></jingle></iq>';
+  var options = {
+    routeSource: function (source) {
+      return source.videoType === 'desktop' ? 'screen' : undefined;
+    }
+  };
+  var ssrcs = function (mLine) {
+    return (mLine.sources || []).map(source => source.id);
+  };
+
+  // Without routing, all the sources are added to the first video m-line.
+  var session = transform.parse(addJingleSources(planB, sourceAdd));
+
+  assert.deepEqual(ssrcs(session.media[1]), [ 2222, 3333, 3334 ], "Not expected video sources");
+  assert.deepEqual(ssrcs(session.media[2]), [], "Not expected screen share sources");
+
+  // The screen share sources and their ssrc-group are added to the screen share m-line.
+  var withScreen = addJingleSources(planB, sourceAdd, options);
+
+  session = transform.parse(withScreen);
+  assert.deepEqual(ssrcs(session.media[1]), [ 2222 ], "Not expected video sources");
+  assert.equal(session.media[1].ssrcGroups, undefined, "Not expected video ssrc-groups");
+  assert.deepEqual(ssrcs(session.media[2]), [ 3333, 3334 ], "Not expected screen share sources");
+  assert.deepEqual(session.media[2].ssrcGroups.map(group => group.ssrcs), [ [ '3333', '3334' ] ],
+    "Not expected screen share ssrc-groups");
+  assert.equal(addJingleSources(withScreen, sourceAdd), withScreen, "The existing sources were added again");
+
+  // The screen share sources are removed from the screen share m-line.
+  session = transform.parse(removeJingleSources(withScreen,
+    sourceAdd.replace('source-add', 'source-remove').replace(/<source [^>]*ssrc="2222">.*?<\/source>/, '')));
+  assert.deepEqual(ssrcs(session.media[1]), [ 2222 ], "Not expected video sources");
+  assert.deepEqual(ssrcs(session.media[2]), [], "The screen share sources were not removed");
+  assert.equal(session.media[2].ssrcGroups, undefined, "The screen share ssrc-group was not removed");
+});
+
+QUnit.test('interopPeerConnectionIceCandidates', function (assert) {
+  // The local Unified Plan offer created by the peerconnection, with RID based simulcast and no video ssrcs.
+  var unifiedPlan = "" +
+    "v=0\r\n\
+o=- 1923518516 2 IN IP4 0.0.0.0\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=group:BUNDLE 0 1\r\n\
+a=msid-semantic: WMS *\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=setup:actpass\r\n\
+a=mid:0\r\n\
+a=msid:local-stream local-audio\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:1111 cname:local\r\n\
+a=ssrc:1111 msid:local-stream local-audio\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100 96\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=rtpmap:96 rtx/90000\r\n\
+a=fmtp:96 apt=100\r\n\
+a=extmap:4 urn:ietf:params:rtp-hdrext:sdes:rtp-stream-id\r\n\
+a=setup:actpass\r\n\
+a=mid:1\r\n\
+a=msid:local-stream local-video\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=rid:h send\r\n\
+a=rid:m send\r\n\
+a=rid:l send\r\n\
+a=simulcast:send h;m;l\r\n"
+
+  var fakePeerConnection = {
+    localDescription: null,
+    remoteDescription: null,
+    onicecandidate: null,
+    listeners: [],
+    setLocalDescription: function (description) {
+      this.setLocalArguments = arguments.length && description;
+      this.localDescription = description || new RTCSessionDescription({ type: 'offer', sdp: unifiedPlan });
+      return Promise.resolve();
+    },
+    addEventListener: function (type, listener) {
+      this.listeners.push(listener);
+    },
+    removeEventListener: function (type, listener) {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    }
+  };
+  var pc = new InteropPeerConnection(fakePeerConnection);
+  var candidates = [];
+  var onCandidate = function (event) {
+    candidates.push(event.candidate);
+  };
+  var done = assert.async();
+
+  pc.setLocalDescription()
+    .then(function () {
+      assert.notOk(fakePeerConnection.setLocalArguments, "The implicit description was replaced");
+
+      var planBSdp = pc.localDescription.sdp;
+
+      assert.ok(/a=ssrc-group:SIM /.test(planBSdp), "The rids were not converted to a SIM group");
+      assert.equal(pc.localDescription.sdp, planBSdp,
+        "The generated ssrcs changed when the description was read again");
+
+      // The gathered candidates are translated to the Plan B mids.
+      pc.onicecandidate = onCandidate;
+      pc.addEventListener('icecandidate', onCandidate);
+      fakePeerConnection.onicecandidate({
+        type: 'icecandidate',
+        candidate: { candidate: 'candidate:1 1 udp 1 10.0.0.1 1 typ host', sdpMid: '1', sdpMLineIndex: 1 }
+      });
+      fakePeerConnection.listeners.forEach(listener => listener({
+        type: 'icecandidate',
+        candidate: { candidate: 'candidate:1 1 udp 1 10.0.0.1 1 typ host', sdpMid: '1', sdpMLineIndex: 1 }
+      }));
+      fakePeerConnection.onicecandidate({ type: 'icecandidate', candidate: null });
+
+      assert.equal(pc.onicecandidate, onCandidate, "Not expected icecandidate handler");
+      assert.deepEqual(candidates.map(c => c && c.sdpMid + ' ' + c.sdpMLineIndex), [ 'video 1', 'video 1', null ],
+        "The candidates were not translated to Plan B");
+
+      pc.removeEventListener('icecandidate', onCandidate);
+      assert.equal(fakePeerConnection.listeners.length, 0, "The icecandidate listener was not removed");
+    })
+    .then(done, function (error) {
+      assert.ok(false, error);
+      done();
+    });
+});
+
+QUnit.test('toUnifiedPlanRestoresState', function (assert) {
+  // The current Unified Plan description, with RID based simulcast and no video ssrcs.
+  var unifiedPlan = "" +
+    "v=0\r\n\
+o=- 1923518516 2 IN IP4 0.0.0.0\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=group:BUNDLE 0 1\r\n\
+a=msid-semantic: WMS *\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=setup:actpass\r\n\
+a=mid:0\r\n\
+a=msid:local-stream local-audio\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:1111 cname:local\r\n\
+a=ssrc:1111 msid:local-stream local-audio\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100 96\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=rtpmap:96 rtx/90000\r\n\
+a=fmtp:96 apt=100\r\n\
+a=extmap:4 urn:ietf:params:rtp-hdrext:sdes:rtp-stream-id\r\n\
+a=setup:actpass\r\n\
+a=mid:1\r\n\
+a=msid:local-stream local-video\r\n\
+a=sendrecv\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=rid:h send\r\n\
+a=rid:m send\r\n\
+a=rid:l send\r\n\
+a=simulcast:send h;m;l\r\n"
+
+  var current = new RTCSessionDescription({ type: 'offer', sdp: unifiedPlan });
+  var planBDesc = new Interop().toPlanB(current);
+  var interop = new Interop();
+  var state = interop._getState();
+
+  // The conversion fails once the mappings and the generated ssrcs have been updated.
+  interop._restoreRids = function () {
+    throw new Error('The rids cannot be restored.');
+  };
+  assert.throws(function () {
+    interop.toUnifiedPlan(planBDesc, current);
+  }, /The rids cannot be restored/, "The error was not thrown");
+  assert.deepEqual(interop._getState(), state, "The failed conversion changed the state");
+});
+
+QUnit.test('unifiedPlanToPlanBStrictUnionFmtp', function (assert) {
+  // Two video m-lines that negotiated VP8 with different fmtp parameters.
+  var unifiedPlan = "" +
+    "v=0\r\n\
+o=- 6352417452822806569 4 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=msid-semantic: WMS *\r\n\
+a=group:BUNDLE 0 1\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100 96\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=rtcp-fb:100 nack\r\n\
+a=fmtp:100 max-fr=30\r\n\
+a=rtpmap:96 rtx/90000\r\n\
+a=fmtp:96 apt=100\r\n\
+a=extmap:3 http://www.webrtc.org/experiments/rtp-hdrext/abs-send-time\r\n\
+a=setup:actpass\r\n\
+a=mid:0\r\n\
+a=msid:stream1 video1\r\n\
+a=sendonly\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:2222 cname:peer1\r\n\
+a=ssrc:2222 msid:stream1 video1\r\n\
+a=rtcp-mux\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100 96\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=rtcp-fb:100 nack\r\n\
+a=fmtp:100 max-fr=15\r\n\
+a=rtpmap:96 rtx/90000\r\n\
+a=fmtp:96 apt=100\r\n\
+a=extmap:3 http://www.webrtc.org/experiments/rtp-hdrext/abs-send-time\r\n\
+a=setup:actpass\r\n\
+a=mid:1\r\n\
+a=msid:stream1 video3\r\n\
+a=sendonly\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=ssrc:4444 cname:peer1\r\n\
+a=ssrc:4444 msid:stream1 video3\r\n\
+a=rtcp-mux\r\n"
+
+  var warnings = [];
+  var logger = {
+    warn: function (msg) {
+      warnings.push(msg);
+    }
+  };
+  var planBSdp = new Interop({ strict: true, logger: logger }).toPlanB({ type: 'offer', sdp: unifiedPlan }).sdp;
+
+  assert.ok(planBSdp.indexOf('a=fmtp:100 max-fr=30\r\n') > -1,
+    "The fmtp parameters of the first m-line were not kept");
+  assert.deepEqual(warnings, [
+    'Payload type 100 has the fmtp parameters "max-fr=30" in mid 0 and "max-fr=15" in mid 1.'
+  ], "The resolved incompatibility was not reported");
+
+  assert.throws(function () {
+    new Interop({ strict: true, mergePolicy: 'intersection' }).toPlanB({ type: 'offer', sdp: unifiedPlan });
+  }, IncompatibleMediaError, "IncompatibleMediaError was not thrown");
+});
+
+QUnit.test('jingleSourceAttributes', function (assert) {
+  // A Plan B description with a separate m-line for screen sharing.
+  var planB = "" +
+    "v=0\r\n\
+o=- 6352417452822806569 3 IN IP4 127.0.0.1\r\n\
+s=-\r\n\
+t=0 0\r\n\
+a=group:BUNDLE audio video screen\r\n\
+a=msid-semantic: WMS *\r\n\
+m=audio 9 UDP/TLS/RTP/SAVPF 111\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:audio\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:111 opus/48000/2\r\n\
+a=ssrc:1111 cname:peer1\r\n\
+a=ssrc:1111 msid:stream1 audio1\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100 96\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:video\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=rtpmap:96 rtx/90000\r\n\
+a=fmtp:96 apt=100\r\n\
+m=video 9 UDP/TLS/RTP/SAVPF 100 96\r\n\
+c=IN IP4 0.0.0.0\r\n\
+a=ice-ufrag:xHOGnBsKDPCmHB5t\r\n\
+a=ice-pwd:qpnbhhoyeTrypBkX5F1u338T\r\n\
+a=fingerprint:sha-256 58:E0:FE:56:6A:8C:5A:AD:71:5B:A0:52:47:27:60:66:27:53:EC:B6:F3:03:A8:4B:9B:30:28:62:29:49:C6:73\r\n\
+a=setup:actpass\r\n\
+a=mid:screen\r\n\
+a=sendrecv\r\n\
+a=rtcp-mux\r\n\
+a=rtpmap:100 VP8/90000\r\n\
+a=rtpmap:96 rtx/90000\r\n\
+a=fmtp:96 apt=100\r\n"
+
+  var description = '<description xmlns="urn:xmpp:jingle:apps:rtp:1" media="video">'
+    + '<source xmlns="urn:xmpp:jingle:apps:rtp:ssma:0" ssrc="3333" name="endpointB-v1" videoType="desktop">'
+    + '<parameter name="msid" value="stream3 screen2"/></source>'
+    + '</description>';
+  var sourceAdd = '<iq xmlns="jabber:client" type="set"><jingle xmlns="urn:xmpp:jingle:1" action="source-add">'
+    + '<content name="video">' + description + '</content></jingle></iq>';
+
+  assert.deepEqual(jingleToSources(sourceAdd)[0].sources, [ {
+    id: 3333,
+    msid: 'stream3 screen2',
+    name: 'endpointB-v1',
+    videoType: 'desktop'
+  } ], "The attributes of the source element were not imported");
+
+  // The source attributes are kept in the sdp and exported as attributes of the source element again.
+  var session = transform.parse(addJingleSources(planB, sourceAdd, {
+    routeSource: function (source) {
+      return source.videoType === 'desktop' ? 'screen' : undefined;
+    }
+  }));
+
+  assert.equal(session.media[2].sources[0].videoType, 'desktop', "The videoType was not added to the sdp");
+  assert.equal(sourcesToJingle(session.media[2]), description, "The source attributes were not exported");
+});